@@ -1,18 +1,66 @@
-import React, { useRef, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import {
   ThemeProvider, createTheme, CssBaseline, Container,
   Box, Typography, Card, CardContent, Button,
   CircularProgress, Alert, Grid, Snackbar, Chip,
+  IconButton, Tooltip, ToggleButton, ToggleButtonGroup,
 } from '@mui/material';
 import {
   CloudUpload as CloudUploadIcon,
   Psychology as PsychologyIcon,
   Refresh as RefreshIcon,
-  Error as ErrorIcon,
   CameraAlt as CameraIcon,
+  Cancel as CancelIcon,
+  Visibility as VisibilityIcon,
+  VisibilityOff as VisibilityOffIcon,
+  History as HistoryIcon,
+  Description as DescriptionIcon,
+  Settings as SettingsIcon,
+  Crop as CropIcon,
+  VpnKey as VpnKeyIcon,
 } from '@mui/icons-material';
-import Webcam from 'react-webcam';
-import { analyzeImage, formatFileSize } from './utils/api';
+import DropZone from './components/DropZone';
+import UrlImport from './components/UrlImport';
+import WebcamCapture from './components/WebcamCapture';
+import BatchQueue from './components/BatchQueue';
+import HealthIndicator from './components/HealthIndicator';
+import FaceOverlay, { getFaceColor, getFaceLabel } from './components/FaceOverlay';
+import HistoryDrawer from './components/HistoryDrawer';
+import ScreeningReport from './components/ScreeningReport';
+import ExportMenu from './components/ExportMenu';
+import ImportResults from './components/ImportResults';
+import ErrorAlert from './components/ErrorAlert';
+import SettingsDialog from './components/SettingsDialog';
+import ConfidenceChip from './components/ConfidenceChip';
+import RegionConfidenceChart from './components/RegionConfidenceChart';
+import PersonBreakdown from './components/PersonBreakdown';
+import ConsensusView from './components/ConsensusView';
+import ConsentDialog from './components/ConsentDialog';
+import PrivacyEditor from './components/PrivacyEditor';
+import OutboxPanel from './components/OutboxPanel';
+import AnalysisProgress from './components/AnalysisProgress';
+import DiagnosticsDrawer from './components/DiagnosticsDrawer';
+import AuthDialog from './components/AuthDialog';
+import useAnalysis, { ANALYSIS_STATE, isBusyState, isFinishedState } from './hooks/useAnalysis';
+import useBatchQueue, { BATCH_STATUS } from './hooks/useBatchQueue';
+import useBackendHealth, { HEALTH_STATUS } from './hooks/useBackendHealth';
+import useHistory from './hooks/useHistory';
+import useSettings from './hooks/useSettings';
+import useOutbox from './hooks/useOutbox';
+import usePasteImages from './hooks/usePasteImages';
+import {
+  formatAllowedTypes, formatFileSize, getBackendVersion, validateFile, validateImageContent,
+} from './utils/api';
+import { buildReportData } from './utils/report';
+import { ERROR_CODES, NetworkError } from './utils/errors';
+import { scoreRegions } from './utils/confidence';
+import { getFaceFindings, isFaceRegion } from './utils/response';
+import { ERROR_ACTIONS } from './utils/errorMessages';
+import { hasConsent, recordConsent, withdrawConsent } from './utils/privacy';
+import { createLogger } from './utils/logger';
+import {
+  AUTH_METHODS, clearCredentials, onAuthFailure, setCredentials,
+} from './utils/auth';
 import config from './config';
 import './App.css';
 
@@ -31,172 +79,428 @@ const theme = createTheme({
   shape: { borderRadius: 12 },
 });
 
+const log = createLogger('app');
+
+// The queue limit can be changed in the settings, and the queue may already hold some images
+const getBatchLimitMessage = (added, offered) => (
+  `${config.ERRORS.BATCH_LIMIT} A queue holds at most ${config.UPLOAD.MAX_BATCH_SIZE} images, so only ${added} of ${offered} were added.`
+);
+
+// The diagnostics drawer is hidden: ?debug in the URL opens it on load, Ctrl/⌘+Shift+D toggles it
+const isDiagnosticsRequested = () => new URLSearchParams(window.location.search).has(config.DIAGNOSTICS.QUERY_PARAM);
+
 function App() {
-  const [selectedImage, setSelectedImage] = useState(null);
-  const [previewUrl, setPreviewUrl] = useState(null);
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [backendMessage, setBackendMessage] = useState('');
-  const [ageAnnotatedImageUrl, setAgeAnnotatedImageUrl] = useState(null);
-  const [autismAnnotatedImageUrl, setAutismAnnotatedImageUrl] = useState(null);
-  const [ageAnalysis, setAgeAnalysis] = useState({});
-  const [autismAnalysis, setAutismAnalysis] = useState({});
-  const [error, setError] = useState(null);
+  const history = useHistory();
+  const [showHistory, setShowHistory] = useState(false);
+  const analysis = useAnalysis({ onResult: history.add });
+  const {
+    phase, image, result, analyzedAt, error, sizeSummary, retryInfo, uploadProgress, serverStage,
+  } = analysis.state;
+  const isProcessing = isBusyState(phase);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
 
-  const webcamRef = useRef(null);
+  const [report, setReport] = useState(null);
+  const [showReport, setShowReport] = useState(false);
+
   const [showWebcam, setShowWebcam] = useState(false);
 
-  // Image upload handler
-  const handleImageSelect = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      setSelectedImage(file);
-      setPreviewUrl(URL.createObjectURL(file));
-      resetStateExceptImage();
-      setSnackbar({
-        open: true,
-        message: `Image uploaded: ${file.name} (${formatFileSize(file.size)})`,
-        severity: 'success',
-      });
+  // Face overlay: hovered/clicked face and boxes the user switched off
+  const [ageView, setAgeView] = useState('overlay');
+  const [hoveredFaceId, setHoveredFaceId] = useState(null);
+  const [selectedFaceId, setSelectedFaceId] = useState(null);
+  const [hiddenFaceIds, setHiddenFaceIds] = useState([]);
+
+  useEffect(() => {
+    setHoveredFaceId(null);
+    setSelectedFaceId(null);
+    setHiddenFaceIds([]);
+  }, [result]);
+
+  const handleSelectFace = id => setSelectedFaceId(prev => (prev === id ? null : id));
+
+  const toggleFaceVisibility = (id) => {
+    setHiddenFaceIds(prev => (prev.includes(id) ? prev.filter(hidden => hidden !== id) : [...prev, id]));
+  };
+
+  const handleBatchComplete = useCallback((items) => {
+    const failed = items.filter(item => item.status === BATCH_STATUS.FAILED).length;
+    setSnackbar({
+      open: true,
+      message: failed > 0
+        ? `${config.SUCCESS.BATCH_COMPLETE} ${failed} of ${items.length} failed.`
+        : config.SUCCESS.BATCH_COMPLETE,
+      severity: failed > 0 ? 'warning' : 'success',
+    });
+  }, []);
+
+  const health = useBackendHealth();
+  const isBackendWaking = health.status === HEALTH_STATUS.WAKING;
+  const [waitingForBackend, setWaitingForBackend] = useState(false);
+
+  // Switching or saving a profile re-checks the (possibly different) backend
+  const settings = useSettings({ onApply: health.check });
+  const [showSettings, setShowSettings] = useState(false);
+
+  const [showDiagnostics, setShowDiagnostics] = useState(isDiagnosticsRequested);
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.shiftKey
+        && event.key.toUpperCase() === config.DIAGNOSTICS.SHORTCUT_KEY.toUpperCase()) {
+        event.preventDefault();
+        setShowDiagnostics(prev => !prev);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Credentials prompt: null when closed, otherwise { message } explaining why it opened
+  // Any request the backend rejects with 401/403 (single, batch, session or outbox) opens it
+  const [authPrompt, setAuthPrompt] = useState(null);
+  useEffect(() => onAuthFailure(err => setAuthPrompt({ message: err.message })), []);
+
+  const batch = useBatchQueue({
+    onComplete: handleBatchComplete,
+    onItemResult: history.add,
+    paused: isBackendWaking,
+  });
+
+  // Subject session: several images of one child, analyzed like a batch and combined into a consensus
+  const [sessionMode, setSessionMode] = useState(false);
+  const session = useBatchQueue({
+    onItemResult: history.add,
+    paused: isBackendWaking,
+  });
+
+  // Analyses requested while the backend is unreachable wait in the outbox and are sent once it is back
+  const { add: addToHistory } = history;
+  const handleOutboxResult = useCallback((file, res) => {
+    addToHistory(file, res);
+    setSnackbar({ open: true, message: `${config.SUCCESS.OUTBOX_SENT} ${file.name}`, severity: 'success' });
+  }, [addToHistory]);
+  const outbox = useOutbox({ online: health.status === HEALTH_STATUS.ONLINE, onResult: handleOutboxResult });
+
+  const queueForLater = async (file) => {
+    try {
+      await outbox.enqueue(file);
+      setSnackbar({ open: true, message: config.SUCCESS.OUTBOX_QUEUED, severity: 'info' });
+    } catch (err) {
+      setSnackbar({ open: true, message: err.message, severity: 'error' });
     }
   };
 
-  // Webcam capture handler
-  const captureFromWebcam = () => {
-    const screenshot = webcamRef.current.getScreenshot();
-    fetch(screenshot)
-      .then(res => res.blob())
-      .then(blob => {
-        const webcamFile = new File([blob], 'webcam-capture.jpg', { type: 'image/jpeg' });
-        setSelectedImage(webcamFile);
-        setPreviewUrl(screenshot);
-        resetStateExceptImage();
-        setSnackbar({
-          open: true,
-          message: 'Image captured from webcam',
-          severity: 'success',
-        });
-      });
+  // Consent is acknowledged once before the first analysis; the blocked action runs right after
+  const [showConsent, setShowConsent] = useState(false);
+  const pendingAction = useRef(null);
+  const requireConsent = (action) => {
+    if (hasConsent()) {
+      action();
+      return;
+    }
+    pendingAction.current = action;
+    setShowConsent(true);
   };
 
-  // Reset all state except image and preview URL
-  const resetStateExceptImage = () => {
-    setAgeAnalysis({});
-    setAutismAnalysis({});
-    setAutismAnnotatedImageUrl(null);
-    setAgeAnnotatedImageUrl(null);
-    setBackendMessage('');
-    setError(null);
+  const handleConsentAccept = () => {
+    recordConsent();
+    setShowConsent(false);
+    const action = pendingAction.current;
+    pendingAction.current = null;
+    if (action) action();
   };
 
-  // Analyze button handler
-  const handleAnalyze = async () => {
-    if (!selectedImage) return;
+  const handleConsentCancel = () => {
+    pendingAction.current = null;
+    setShowConsent(false);
+  };
 
-    setIsProcessing(true);
-    resetStateExceptImage();
+  // New credentials apply to the next request; a single analysis that was rejected is retried
+  const handleAuthSave = (credentials) => {
+    setCredentials(credentials);
+    setAuthPrompt(null);
+    setSnackbar({ open: true, message: config.SUCCESS.AUTH_SAVED, severity: 'success' });
+    health.check();
+    if (phase === ANALYSIS_STATE.FAILED && error && error.code === ERROR_CODES.UNAUTHORIZED && image) {
+      handleAnalyzeClick();
+    }
+  };
 
-    try {
-      const res = await analyzeImage(selectedImage);
-      console.log('🔍 Full API Response:', res);
-
-      // Show backend message prominently
-      setBackendMessage(res.message || '');
-
-      // Extract and normalize age annotated image and analysis details
-      if (res.age_check_summary && res.age_check_summary.annotated_image_url) {
-        const url = res.age_check_summary.annotated_image_url.startsWith('http')
-          ? res.age_check_summary.annotated_image_url
-          : `${config.API_BASE_URL}${res.age_check_summary.annotated_image_url}`;
-        setAgeAnnotatedImageUrl(url);
-        setAgeAnalysis(res.age_check_summary || {});
-      }
+  const handleAuthSignOut = () => {
+    clearCredentials();
+    setAuthPrompt(null);
+    setSnackbar({ open: true, message: config.SUCCESS.AUTH_CLEARED, severity: 'info' });
+  };
 
-      // ✅ KEY ADDITION: Handle autism data only if not adult_invalid
-      if (res.autism_prediction_data && res.autism_prediction_data.annotated_image_path) {
-        if (res.status === 'adult_invalid') {
-          // Console warning for adult invalid
-          console.warn('⚠️ AUTISM SCANNING DISABLED: Adult detected (ages above 18). Autism analysis cannot be performed on adult subjects.');
-          
-          // Clear autism data for adults
-          setAutismAnnotatedImageUrl(null);
-          setAutismAnalysis({});
-        } else {
-          // Process autism data for valid child subjects
-          const url = res.autism_prediction_data.annotated_image_path.startsWith('http')
-            ? res.autism_prediction_data.annotated_image_path
-            : `${config.API_BASE_URL}${res.autism_prediction_data.annotated_image_path}`;
-          setAutismAnnotatedImageUrl(url);
-          setAutismAnalysis(res.autism_prediction_data || {});
-        }
-      } else {
-        // Clear autism info if missing
-        setAutismAnnotatedImageUrl(null);
-        setAutismAnalysis({});
-      }
+  // Drop every image held in memory; preview object URLs are revoked by their owners
+  const { reset: resetAnalysis } = analysis;
+  const { clear: clearBatch } = batch;
+  const { clear: clearSession } = session;
+  const clearImages = useCallback(() => {
+    resetAnalysis();
+    clearBatch();
+    clearSession();
+    setShowWebcam(false); // unmounting the webcam panel also drops burst frames
+    setSnackbar({ open: true, message: config.SUCCESS.IMAGES_CLEARED, severity: 'info' });
+  }, [resetAnalysis, clearBatch, clearSession]);
 
-      // Additional console logging for adult_invalid status
-      if (res.status === 'adult_invalid') {
-        console.warn('🚫 ADULT INPUT REJECTED: The uploaded image contains only adults. Autism screening requires subjects under 18 years of age.');
-      }
+  // Clear images after PRIVACY.CLEAR_IMAGES_AFTER without activity; nothing is cleared mid-request
+  const hasImages = Boolean(image) || batch.items.length > 0 || session.items.length > 0;
+  const isBusy = isProcessing || batch.isRunning || session.isRunning;
+  useEffect(() => {
+    if (!hasImages || isBusy || !config.PRIVACY.CLEAR_IMAGES_AFTER) return undefined;
+    const timer = setTimeout(clearImages, config.PRIVACY.CLEAR_IMAGES_AFTER);
+    return () => clearTimeout(timer);
+  }, [hasImages, isBusy, clearImages, image, result, batch.items, session.items]);
+
+  // Taking consent back deletes everything kept from earlier analyses; the dialog asks again next time
+  const handleWithdrawConsent = async () => {
+    withdrawConsent();
+    clearImages();
+    await Promise.all([history.clear(), outbox.clear()]);
+    setShowSettings(false);
+    setSnackbar({ open: true, message: config.SUCCESS.CONSENT_WITHDRAWN, severity: 'info' });
+  };
 
+  const [showEditor, setShowEditor] = useState(false);
+
+  // Notify about each finished analysis
+  useEffect(() => {
+    if (phase === ANALYSIS_STATE.FAILED) {
+      setSnackbar({ open: true, message: error.message, severity: 'error' });
+    } else if (isFinishedState(phase)) {
+      if (phase === ANALYSIS_STATE.ADULT_INVALID) {
+        log.info(`Adult-only image rejected; autism screening requires subjects under ${config.RESULTS.ADULT_AGE}`, {
+          faces: result.age ? result.age.faces.length : null,
+        });
+      }
       setSnackbar({
         open: true,
-        message: res.message || 'Analysis complete.',
-        severity: res.status === 'adult_invalid' ? 'warning' : 'success',
+        message: result.message || 'Analysis complete.',
+        severity: phase === ANALYSIS_STATE.CHILD_SCREENED ? 'success' : 'warning',
       });
+    }
+  }, [phase, result, error]);
+
+  // Select a single image for analysis once its content checks out
+  const selectImage = async (picked) => {
+    let file;
+    try {
+      validateFile(picked, { beforePreprocess: true });
+      file = await validateImageContent(picked);
     } catch (err) {
-      setError(err.message);
+      setSnackbar({ open: true, message: err.message, severity: 'error' });
+      return;
+    }
+
+    analysis.selectImage(file);
+    setSnackbar({
+      open: true,
+      message: `Image uploaded: ${file.name} (${formatFileSize(file.size)})`,
+      severity: 'success',
+    });
+  };
+
+  // Images for the subject session; their content is validated when they are analyzed
+  // Returns the ids of the session items that were added
+  const addToSession = (images) => {
+    const ids = session.addFiles(images);
+    const added = ids.length;
+    setSnackbar({
+      open: true,
+      message: added < images.length
+        ? getBatchLimitMessage(added, images.length)
+        : `${added} image${added === 1 ? '' : 's'} added to the subject session`,
+      severity: added < images.length ? 'warning' : 'success',
+    });
+    return ids;
+  };
+
+  // Choosing another frame of the same burst replaces that burst's session photo instead of adding one
+  // { burstId, itemId } of the last burst added to the session
+  const sessionBurst = useRef(null);
+  const handleCapture = (file, { burstId }) => {
+    if (!sessionMode) {
+      selectImage(file);
+      return;
+    }
+    const previous = sessionBurst.current;
+    if (burstId !== null && previous && previous.burstId === burstId && session.replaceFile(previous.itemId, file)) {
+      setSnackbar({ open: true, message: 'Session photo replaced with the chosen burst frame', severity: 'success' });
+      return;
+    }
+    const [itemId] = addToSession([file]);
+    sessionBurst.current = burstId !== null && itemId ? { burstId, itemId } : null;
+  };
+
+  // Dropped, browsed, pasted or linked files: one image is selected directly, several go to the batch queue
+  // In session mode every image joins the subject session instead
+  const handleFiles = (files) => {
+    // HEIC files often arrive without a MIME type; their content is checked later
+    const images = files.filter(file => file.type === '' || file.type.startsWith('image/'));
+    if (images.length === 0) {
       setSnackbar({
         open: true,
-        message: err.message,
+        message: `${config.ERRORS.NO_IMAGES_DROPPED} Please add ${formatAllowedTypes()} images.`,
         severity: 'error',
       });
-    } finally {
-      setIsProcessing(false);
+      return;
     }
+
+    if (sessionMode) {
+      addToSession(images);
+      return;
+    }
+
+    if (images.length === 1 && batch.items.length === 0) {
+      selectImage(images[0]);
+      return;
+    }
+
+    const added = batch.addFiles(images).length;
+    setSnackbar({
+      open: true,
+      message: added < images.length
+        ? getBatchLimitMessage(added, images.length)
+        : `${added} image${added === 1 ? '' : 's'} added to the batch queue`,
+      severity: added < images.length ? 'warning' : 'success',
+    });
+  };
+
+  // Images pasted anywhere on the page (screenshots, copied files) are handled like dropped ones
+  usePasteImages({ onFiles: handleFiles, enabled: !isProcessing });
+
+  // Only an image the user picked is uploaded; re-opened history thumbnails are display-only
+  const canAnalyze = Boolean(image) && !image.readOnly;
+
+  // Hold the analysis while the backend is cold-starting; it starts once the server is up
+  const handleAnalyzeClick = () => {
+    if (!canAnalyze) return;
+    requireConsent(() => {
+      if (health.status === HEALTH_STATUS.OFFLINE || navigator.onLine === false) {
+        queueForLater(image.file);
+        return;
+      }
+      if (isBackendWaking) {
+        setWaitingForBackend(true);
+        setSnackbar({ open: true, message: config.ERRORS.BACKEND_WAKING, severity: 'info' });
+        return;
+      }
+      analysis.analyze();
+    });
+  };
+
+  const { analyze, fail } = analysis;
+  useEffect(() => {
+    if (!waitingForBackend) return;
+    if (health.status === HEALTH_STATUS.ONLINE) {
+      setWaitingForBackend(false);
+      analyze();
+    } else if (health.status === HEALTH_STATUS.OFFLINE) {
+      setWaitingForBackend(false);
+      fail(new NetworkError(config.ERRORS.BACKEND_OFFLINE));
+    }
+  }, [waitingForBackend, health.status, analyze, fail]);
+
+  // Recovery actions offered by the error Alert
+  const handleErrorAction = (action) => {
+    if (action === ERROR_ACTIONS.RETRY) {
+      handleAnalyzeClick();
+    } else if (action === ERROR_ACTIONS.CHOOSE_FILE) {
+      document.getElementById('image-input').click();
+    } else if (action === ERROR_ACTIONS.CHECK_SETTINGS) {
+      setShowSettings(true);
+    } else if (action === ERROR_ACTIONS.SEND_LATER && canAnalyze) {
+      queueForLater(image.file);
+    } else if (action === ERROR_ACTIONS.SIGN_IN) {
+      setAuthPrompt({ message: null });
+    }
+  };
+
+  // Show a finished batch item in the result cards
+  const handleViewBatchItem = (item) => {
+    analysis.showResult(item.file, item.result, item.finishedAt);
+  };
+
+  // Re-open a stored analysis; its thumbnail stands in for the original image but is never uploaded
+  const handleOpenHistoryEntry = (entry) => {
+    const file = new File([entry.thumbnail], entry.fileName, { type: entry.thumbnail.type });
+    analysis.showResult(file, entry.result, entry.createdAt, { readOnly: true });
+    setShowHistory(false);
+  };
+
+  // Snapshot the current child screening result into a printable report
+  const handleGenerateReport = async () => {
+    const backendVersion = await getBackendVersion();
+    setReport(buildReportData({ result, image, backendVersion }));
+    setShowReport(true);
+  };
+
+  // Show an imported result in the cards; there is no original image to overlay
+  const handleImportResult = (record) => {
+    setWaitingForBackend(false);
+    analysis.showResult(null, record.result, record.analyzedAt);
   };
 
   // Reset all state and image selections
   const handleReset = () => {
-    setSelectedImage(null);
-    setPreviewUrl(null);
-    setAgeAnalysis({});
-    setAutismAnalysis({});
-    setAgeAnnotatedImageUrl(null);
-    setAutismAnnotatedImageUrl(null);
-    setBackendMessage('');
-    setError(null);
-    if (previewUrl) URL.revokeObjectURL(previewUrl);
+    setWaitingForBackend(false);
+    analysis.reset();
   };
 
-  const handleCloseSnackbar = () => setSnackbar({ ...snackbar, open: false });
+  // Values rendered by the result cards
+  const isAdultInvalid = phase === ANALYSIS_STATE.ADULT_INVALID;
+  const ageAnalysis = result && result.age;
+  const hasFaceBoxes = Boolean(image && ageAnalysis && ageAnalysis.faces.some(face => face.box));
+  const showServerImage = !hasFaceBoxes || ageView === 'server';
+  const activeFaceId = hoveredFaceId ?? selectedFaceId;
+  const hasAutismResults = phase === ANALYSIS_STATE.CHILD_SCREENED
+    && (result.regions.length > 0 || result.finalDecision);
+  // Scored once over the whole response so every face uses the same confidence scale
+  const allScoredRegions = hasAutismResults ? scoreRegions(result.regions) : [];
+  const scoredRegions = allScoredRegions.filter(r => !isFaceRegion(r));
+  const faceFindings = ageAnalysis && ageAnalysis.faces.length > 1
+    ? getFaceFindings({ ...result, regions: allScoredRegions })
+    : null;
 
-  // Component for confidence chip
-  const ConfidenceLevel = ({ confidence }) => {
-    const getConfidenceColor = (conf) => (
-      conf >= 70 ? '#16a34a' : conf >= 40 ? '#ca8a04' : '#dc2626'
-    );
-    return (
-      <Chip
-        label={`${confidence.toFixed(1)}%`}
-        size="small"
-        variant="outlined"
-        sx={{
-          borderColor: getConfidenceColor(confidence),
-          color: getConfidenceColor(confidence),
-          fontWeight: 600,
-        }}
-      />
-    );
-  };
+  const handleCloseSnackbar = () => setSnackbar({ ...snackbar, open: false });
 
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
       <Box sx={{ minHeight: '100vh', bgcolor: 'background.default', py: 4, overflow: 'auto', display: 'flex', flexDirection: 'column' }}>
         <Container maxWidth="xl" sx={{ flex: 1, overflow: 'auto', display: 'flex', flexDirection: 'column' }}>
-          <Box textAlign="center" mb={4}>
+          <Box textAlign="center" mb={4} sx={{ position: 'relative' }}>
+            <Box sx={{ position: { md: 'absolute' }, top: 0, right: 0, mb: { xs: 2, md: 0 }, display: 'flex', gap: 1, justifyContent: 'center', alignItems: 'center' }}>
+              {config.MOCK.ENABLED && (
+                <Tooltip title={`Responses come from local fixtures (scenario: ${config.MOCK.SCENARIO})`}>
+                  <Chip label="Mock backend" size="small" color="warning" variant="outlined" sx={{ fontWeight: 600 }} />
+                </Tooltip>
+              )}
+              <HealthIndicator status={health.status} lastChecked={health.lastChecked} onCheck={health.check} />
+              {config.HISTORY.ENABLED && (
+                <Button
+                  size="small"
+                  variant="outlined"
+                  startIcon={<HistoryIcon />}
+                  onClick={() => setShowHistory(true)}
+                  sx={{ borderColor: '#e2e8f0', color: '#475569', '&:hover': { borderColor: '#1e293b', color: '#1e293b' } }}
+                >
+                  History ({history.entries.length})
+                </Button>
+              )}
+              {config.AUTH.METHOD !== AUTH_METHODS.NONE && (
+                <Tooltip title="Server credentials">
+                  <IconButton size="small" onClick={() => setAuthPrompt({ message: null })} sx={{ color: '#475569' }}>
+                    <VpnKeyIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+              <Tooltip title={`Settings (${settings.activeProfile.name})`}>
+                <IconButton size="small" onClick={() => setShowSettings(true)} sx={{ color: '#475569' }}>
+                  <SettingsIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </Box>
             <Typography variant="h2" gutterBottom sx={{ color: '#0f172a', fontWeight: 600, letterSpacing: '-0.02em' }}>
               Autism Detection AI
             </Typography>
@@ -214,19 +518,25 @@ function App() {
                     <CloudUploadIcon sx={{ fontSize: 24, color: '#1e293b' }} />
                     Upload or Capture Image
                   </Typography>
-                  <Box
-                    onClick={() => document.getElementById('image-input').click()}
-                    sx={{
-                      border: '2px dashed #e2e8f0', p: 4, textAlign: 'center', cursor: 'pointer',
-                      borderRadius: 3, bgcolor: '#fafafa', transition: 'all 0.2s ease',
-                      '&:hover': { borderColor: '#1e293b', bgcolor: '#f5f5f5' },
-                    }}
-                  >
-                    <input id="image-input" type="file" accept="image/*" onChange={handleImageSelect} style={{ display: 'none' }} />
-                    <CloudUploadIcon sx={{ fontSize: 48, color: '#475569', mb: 2 }} />
-                    <Typography variant="h6" sx={{ color: '#0f172a', mb: 1, fontWeight: 600 }}>Upload Image</Typography>
-                    <Typography variant="body2" sx={{ color: '#475569' }}>Drag & drop or click to browse</Typography>
+                  <Box sx={{ textAlign: 'center', mb: 2 }}>
+                    <ToggleButtonGroup
+                      size="small"
+                      exclusive
+                      value={sessionMode ? 'session' : 'single'}
+                      onChange={(event, value) => value && setSessionMode(value === 'session')}
+                    >
+                      <ToggleButton value="single">Single image</ToggleButton>
+                      <ToggleButton value="session">Subject session</ToggleButton>
+                    </ToggleButtonGroup>
                   </Box>
+                  {sessionMode && (
+                    <Alert severity="info" sx={{ mb: 2 }}>
+                      Add several photos of the same child, uploaded or captured, then analyze them together for a consensus.
+                      Photos with an adult or without a face are left out automatically.
+                    </Alert>
+                  )}
+                  <DropZone onFiles={handleFiles} disabled={isProcessing} />
+                  <UrlImport onFile={file => handleFiles([file])} disabled={isProcessing} />
                   <Box mt={3} textAlign="center">
                     <Button
                       variant="outlined"
@@ -236,57 +546,102 @@ function App() {
                     >
                       {showWebcam ? 'Hide Camera' : 'Open Camera'}
                     </Button>
+                    <Box sx={{ mb: 2 }}>
+                      <ImportResults
+                        onImport={handleImportResult}
+                        onError={message => setSnackbar({ open: true, message, severity: 'error' })}
+                        disabled={isProcessing}
+                      />
+                    </Box>
                     {showWebcam && (
                       <Box className="webcam-container">
-                        <Box sx={{ border: '1px solid #f1f5f9', borderRadius: 3, p: 2, bgcolor: '#fafafa' }}>
-                          <Webcam
-                            audio={false}
-                            ref={webcamRef}
-                            screenshotFormat="image/jpeg"
-                            width={320}
-                            height={240}
-                            style={{ borderRadius: 8, border: '1px solid #f1f5f9' }}
-                          />
-                        </Box>
-                        <Button onClick={captureFromWebcam} variant="contained" startIcon={<CameraIcon />} sx={{ mt: 2, bgcolor: '#1e293b', '&:hover': { bgcolor: '#0f172a' } }}>
-                          Capture Photo
-                        </Button>
+                        {/* Captures go through the same validation as uploaded files */}
+                        <WebcamCapture
+                          onCapture={handleCapture}
+                          onError={message => setSnackbar({ open: true, message, severity: 'error' })}
+                          disabled={isProcessing}
+                        />
                       </Box>
                     )}
                   </Box>
-                  {previewUrl && (
+                  {image && (
                     <Box className="image-preview">
                       <img
-                        src={previewUrl}
+                        src={image.previewUrl}
                         alt="Preview"
                         style={{ maxWidth: 400, maxHeight: 300, borderRadius: 8, border: '2px solid #e0e0e0', boxShadow: '0 4px 12px rgba(0,0,0,0.1)' }}
                       />
                       <Typography variant="body2" mt={1} color="text.secondary">
-                        {selectedImage?.name || 'Captured Image'}
+                        {image.file.name || 'Captured Image'}
                       </Typography>
+                      {sizeSummary && (
+                        <Typography variant="caption" color="text.secondary">
+                          Optimized for upload: {sizeSummary}
+                        </Typography>
+                      )}
+                      {image.readOnly && (
+                        <Typography variant="caption" color="text.secondary" component="p">
+                          Thumbnail from the history. Choose the original image to analyze it again.
+                        </Typography>
+                      )}
+                      {phase === ANALYSIS_STATE.IMAGE_SELECTED && (
+                        <Box>
+                          <Button
+                            size="small"
+                            startIcon={<CropIcon />}
+                            onClick={() => setShowEditor(true)}
+                            sx={{ mt: 1, color: '#475569' }}
+                          >
+                            Crop / blur
+                          </Button>
+                        </Box>
+                      )}
                     </Box>
                   )}
+                  {isBackendWaking && (
+                    <Alert severity="info" sx={{ mt: 2 }}>
+                      The analysis server is waking up. This can take up to a minute after a period of inactivity.
+                    </Alert>
+                  )}
+                  {health.status === HEALTH_STATUS.OFFLINE && (
+                    <Alert severity="warning" sx={{ mt: 2 }}>
+                      {config.ERRORS.BACKEND_OFFLINE}
+                    </Alert>
+                  )}
                   <Box className="action-buttons">
                     <Button
                       variant="contained"
-                      onClick={handleAnalyze}
-                      disabled={!selectedImage || isProcessing}
-                      startIcon={isProcessing ? <CircularProgress size={20} /> : <PsychologyIcon />}
+                      onClick={handleAnalyzeClick}
+                      disabled={!canAnalyze || isProcessing || waitingForBackend}
+                      startIcon={isProcessing || waitingForBackend ? <CircularProgress size={20} /> : <PsychologyIcon />}
                       size="large"
                       sx={{ bgcolor: '#1e293b', '&:hover': { bgcolor: '#0f172a' }, '&:disabled': { bgcolor: '#e2e8f0', color: '#94a3b8' } }}
                     >
-                      {isProcessing ? 'Analyzing...' : 'Analyze'}
-                    </Button>
-                    <Button variant="outlined" onClick={handleReset} disabled={isProcessing} startIcon={<RefreshIcon />} size="large"
-                      sx={{ borderColor: '#e2e8f0', color: '#475569', '&:hover': { borderColor: '#1e293b', color: '#1e293b' }, '&:disabled': { borderColor: '#f1f5f9', color: '#cbd5e1' } }}>
-                      Reset
+                      {phase === ANALYSIS_STATE.UPLOADING ? 'Uploading...'
+                        : phase === ANALYSIS_STATE.PROCESSING ? 'Analyzing...'
+                          : waitingForBackend ? 'Waiting for server...' : 'Analyze'}
                     </Button>
+                    {isProcessing ? (
+                      <Button variant="outlined" color="error" onClick={analysis.cancel} startIcon={<CancelIcon />} size="large">
+                        Cancel
+                      </Button>
+                    ) : (
+                      <Button variant="outlined" onClick={handleReset} startIcon={<RefreshIcon />} size="large"
+                        sx={{ borderColor: '#e2e8f0', color: '#475569', '&:hover': { borderColor: '#1e293b', color: '#1e293b' }, '&:disabled': { borderColor: '#f1f5f9', color: '#cbd5e1' } }}>
+                        Reset
+                      </Button>
+                    )}
                   </Box>
-                  {error && (
-                    <Alert severity="error" sx={{ mt: 2 }}>
-                      <ErrorIcon sx={{ mr: 1 }} />
-                      {error}
-                    </Alert>
+                  {result && !isProcessing && (
+                    <Box sx={{ mt: 2, textAlign: 'center' }}>
+                      <ExportMenu
+                        records={[{ fileName: image ? image.file.name : null, analyzedAt, result }]}
+                        label="Export Result"
+                      />
+                    </Box>
+                  )}
+                  {phase === ANALYSIS_STATE.FAILED && (
+                    <ErrorAlert error={error} onAction={handleErrorAction} sx={{ mt: 2 }} />
                   )}
                 </CardContent>
               </Card>
@@ -302,15 +657,45 @@ function App() {
                       <Typography variant="h6" sx={{ color: '#1e293b', mb: 1, fontWeight: 600 }}>
                         Age Detection Visualization
                       </Typography>
-                      {/* Show backend message if it's an adult_invalid or error */}
-                      {backendMessage && (backendMessage.toLowerCase().includes('adult') || backendMessage.toLowerCase().includes('invalid') || backendMessage.toLowerCase().includes('error')) && (
+                      {isAdultInvalid && (
                         <Alert severity="warning" sx={{ mb: 2 }}>
-                          <strong>Adult Detected:</strong> {backendMessage}
+                          <strong>Adult Detected:</strong> {result.message}
                         </Alert>
                       )}
-                      {ageAnnotatedImageUrl && (
+                      {phase === ANALYSIS_STATE.NO_FACES && (
+                        <Alert severity="info" sx={{ mb: 2 }}>
+                          <strong>No Faces Detected:</strong> {result.message || 'Please upload a clear, front-facing photo.'}
+                        </Alert>
+                      )}
+                      {hasFaceBoxes && (
+                        <Box sx={{ display: 'flex', justifyContent: 'center', mb: 1 }}>
+                          <ToggleButtonGroup
+                            size="small"
+                            exclusive
+                            value={showServerImage ? 'server' : 'overlay'}
+                            onChange={(event, value) => value && setAgeView(value)}
+                          >
+                            <ToggleButton value="overlay">Interactive</ToggleButton>
+                            <ToggleButton value="server" disabled={!result.ageImageUrl}>Server image</ToggleButton>
+                          </ToggleButtonGroup>
+                        </Box>
+                      )}
+                      {hasFaceBoxes && !showServerImage && (
+                        <Box sx={{ textAlign: 'center', mt: 3, mb: 2 }}>
+                          <FaceOverlay
+                            imageUrl={image.previewUrl}
+                            imageSize={result.imageSize}
+                            faces={ageAnalysis.faces}
+                            highlightedId={activeFaceId}
+                            hiddenIds={hiddenFaceIds}
+                            onHighlight={setHoveredFaceId}
+                            onSelect={handleSelectFace}
+                          />
+                        </Box>
+                      )}
+                      {result && result.ageImageUrl && showServerImage && (
                         <img
-                          src={ageAnnotatedImageUrl}
+                          src={result.ageImageUrl}
                           alt="Age Detection Visualization"
                           style={{
                             width: '100%',
@@ -324,33 +709,61 @@ function App() {
                           }}
                         />
                       )}
-                      {ageAnalysis && (ageAnalysis.kids_count !== undefined || ageAnalysis.adults_count !== undefined) && (
+                      {ageAnalysis && (
                         <Box>
                           <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
-                            Faces Detected: <strong>{(ageAnalysis.kids_count ?? 0) + (ageAnalysis.adults_count ?? 0)}</strong>
+                            Faces Detected: <strong>{ageAnalysis.kidsCount + ageAnalysis.adultsCount}</strong>
                           </Typography>
                           <Typography variant="body2" sx={{ mb: 1 }}>
-                            Kids: <strong>{ageAnalysis.kids_count ?? 0}</strong> &nbsp;|&nbsp;
-                            Adults: <strong>{ageAnalysis.adults_count ?? 0}</strong>
+                            Kids: <strong>{ageAnalysis.kidsCount}</strong> &nbsp;|&nbsp;
+                            Adults: <strong>{ageAnalysis.adultsCount}</strong>
                           </Typography>
-                          {Array.isArray(ageAnalysis.annotations) && ageAnalysis.annotations.length > 0 && (
+                          {ageAnalysis.faces.length > 0 && (
                             <>
                               <Typography variant="body2" sx={{ fontWeight: 600, mt: 1 }}>Detected Age Groups:</Typography>
-                              {ageAnalysis.annotations.map((ann, idx) => (
-                                <Box key={idx} sx={{ border: '1px solid #e0e7ef', borderRadius: 1, p: 1, mb: 1 }}>
-                                  <Typography variant="body2" sx={{ color: '#0f172a', fontWeight: 600 }}>
-                                    Age: {ann.age}
-                                  </Typography>
-                                  {ann.box && (
-                                    <Typography variant="caption" sx={{ color: '#475569' }}>
-                                      Bounding Box: [{ann.box.join(', ')}]
+                              {ageAnalysis.faces.map(face => (
+                                <Box
+                                  key={face.id}
+                                  onMouseEnter={() => setHoveredFaceId(face.id)}
+                                  onMouseLeave={() => setHoveredFaceId(null)}
+                                  onClick={() => handleSelectFace(face.id)}
+                                  sx={{
+                                    display: 'flex', alignItems: 'center', gap: 1, borderRadius: 1, p: 1, mb: 1, cursor: 'pointer',
+                                    border: `1px solid ${face.id === activeFaceId ? getFaceColor(face) : '#e0e7ef'}`,
+                                    bgcolor: face.id === activeFaceId ? '#f8fafc' : 'transparent',
+                                  }}
+                                >
+                                  <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: getFaceColor(face), flexShrink: 0 }} />
+                                  <Box sx={{ flex: 1 }}>
+                                    <Typography variant="body2" sx={{ color: '#0f172a', fontWeight: 600 }}>
+                                      {getFaceLabel(face)}
                                     </Typography>
+                                    {face.box && (
+                                      <Typography variant="caption" sx={{ color: '#475569' }}>
+                                        Bounding Box: [{face.box.join(', ')}]
+                                      </Typography>
+                                    )}
+                                  </Box>
+                                  {face.box && !showServerImage && (
+                                    <Tooltip title={hiddenFaceIds.includes(face.id) ? 'Show box' : 'Hide box'}>
+                                      <IconButton
+                                        size="small"
+                                        onClick={(event) => {
+                                          event.stopPropagation();
+                                          toggleFaceVisibility(face.id);
+                                        }}
+                                      >
+                                        {hiddenFaceIds.includes(face.id)
+                                          ? <VisibilityOffIcon fontSize="small" />
+                                          : <VisibilityIcon fontSize="small" />}
+                                      </IconButton>
+                                    </Tooltip>
                                   )}
                                 </Box>
                               ))}
                             </>
                           )}
-                          {ageAnalysis.has_faces === false && (
+                          {ageAnalysis.hasFaces === false && (
                             <Typography sx={{ color: "#f44336", mt: 1, fontWeight: 600 }}>No faces detected.</Typography>
                           )}
                         </Box>
@@ -367,8 +780,7 @@ function App() {
                         Autism Analysis Visualization
                       </Typography>
                       
-                      {/* ✅ KEY ADDITION: Special notice for adult_invalid status */}
-                      {backendMessage && backendMessage.toLowerCase().includes('adult') && (
+                      {isAdultInvalid && (
                         <Alert severity="error" sx={{ mb: 2 }}>
                           <strong>⚠️ Autism Scanning Disabled</strong>
                           <br />
@@ -377,9 +789,9 @@ function App() {
                       )}
 
                       {/* Show autism annotated image if present */}
-                      {autismAnnotatedImageUrl ? (
+                      {phase === ANALYSIS_STATE.CHILD_SCREENED && result.autismImageUrl ? (
                         <img
-                          src={autismAnnotatedImageUrl}
+                          src={result.autismImageUrl}
                           alt="Autism Analysis Visualization"
                           style={{
                             width: '100%',
@@ -394,47 +806,124 @@ function App() {
                         />
                       ) : (
                         <Typography color="text.secondary" sx={{ mb: 2, textAlign: 'center', fontStyle: 'italic' }}>
-                          {backendMessage && backendMessage.toLowerCase().includes('adult') 
-                            ? 'Autism analysis not available for adult subjects' 
-                            : 'Autism analysis visualization will appear here'
-                          }
+                          {isAdultInvalid
+                            ? 'Autism analysis not available for adult subjects'
+                            : phase === ANALYSIS_STATE.NO_FACES
+                              ? 'Autism analysis needs at least one detected face'
+                              : 'Autism analysis visualization will appear here'}
                         </Typography>
                       )}
 
                       {/* Autism regional analysis results */}
-                      {autismAnalysis.results && autismAnalysis.results.length > 0 && (
+                      {hasAutismResults && (
                         <Box sx={{ mb: 2 }}>
-                          <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
-                            Regional Analysis:
-                          </Typography>
-                          {autismAnalysis.results.filter(r => r.region).map((r, idx) => (
+                          {scoredRegions.length > 0 && (
+                            <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+                              Regional Analysis:
+                            </Typography>
+                          )}
+                          {scoredRegions.map((r, idx) => (
                             <Box key={idx} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1, p: 1, bgcolor: 'white', border: '1px solid #e0e7ef', borderRadius: 1 }}>
                               <Typography variant="body2"><strong>{r.region}:</strong> {r.label}</Typography>
-                              <ConfidenceLevel confidence={r.confidence} />
+                              <ConfidenceChip score={r.score} level={r.level} />
                             </Box>
                           ))}
-                          {autismAnalysis.results.find(r => r.final_decision) && (
-                            <Box sx={{ bgcolor: '#fef2f2', border: '1px solid #fecaca', borderRadius: 2, p: 2, mt: 2, textAlign: 'center' }}>
-                              <Typography variant="subtitle1" sx={{ mb: 1 }}>
-                                Final AI Decision
-                              </Typography>
-                              <Typography variant="body2" sx={{ color: '#dc2626', fontWeight: 700 }}>
-                                {autismAnalysis.results.find(r => r.final_decision)?.final_decision}
-                              </Typography>
+                          {(result.finalDecision || scoredRegions.some(r => r.score !== null)) && (
+                            <Box sx={{ bgcolor: '#fef2f2', border: '1px solid #fecaca', borderRadius: 2, p: 2, mt: 2, display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 2 }}>
+                              {result.finalDecision && (
+                                <Box sx={{ flex: '1 1 120px', textAlign: 'center' }}>
+                                  <Typography variant="subtitle1" sx={{ mb: 1 }}>
+                                    Final AI Decision
+                                  </Typography>
+                                  <Typography variant="body2" sx={{ color: '#dc2626', fontWeight: 700 }}>
+                                    {result.finalDecision}
+                                  </Typography>
+                                </Box>
+                              )}
+                              {scoredRegions.length > 0 && (
+                                <Box sx={{ flex: '2 1 200px' }}>
+                                  <RegionConfidenceChart regions={scoredRegions} finalDecision={result.finalDecision} />
+                                </Box>
+                              )}
                             </Box>
                           )}
+                          {scoredRegions.length < allScoredRegions.length && (
+                            <Typography variant="body2" color="text.secondary" sx={{ mt: 1, fontStyle: 'italic' }}>
+                              Findings for individual faces are listed in the per-person breakdown.
+                            </Typography>
+                          )}
+                          <Button
+                            variant="outlined"
+                            startIcon={<DescriptionIcon />}
+                            onClick={handleGenerateReport}
+                            fullWidth
+                            sx={{ mt: 2, borderColor: '#e2e8f0', color: '#475569' }}
+                          >
+                            Generate report
+                          </Button>
                         </Box>
                       )}
                     </CardContent>
                   </Card>
                 </Grid>
+
+                {/* Per-person breakdown for images with several faces */}
+                {faceFindings && (
+                  <Grid item xs={12}>
+                    <PersonBreakdown
+                      people={faceFindings.people}
+                      imageUrl={image && image.previewUrl}
+                      imageSize={result.imageSize}
+                      highlightedId={activeFaceId}
+                      onHighlight={setHoveredFaceId}
+                      onSelect={handleSelectFace}
+                    />
+                  </Grid>
+                )}
               </Grid>
-              {/* Show processing spinner if analyzing */}
+              <BatchQueue
+                items={batch.items}
+                isRunning={batch.isRunning}
+                onStart={() => requireConsent(batch.start)}
+                onRetry={batch.retry}
+                onRemove={batch.remove}
+                onClear={batch.clear}
+                onView={handleViewBatchItem}
+              />
+              <BatchQueue
+                title="Subject Session"
+                items={session.items}
+                isRunning={session.isRunning}
+                onStart={() => requireConsent(session.start)}
+                onRetry={session.retry}
+                onRemove={session.remove}
+                onClear={session.clear}
+                onView={handleViewBatchItem}
+              />
+              <OutboxPanel
+                items={outbox.items}
+                error={outbox.error}
+                online={health.status === HEALTH_STATUS.ONLINE}
+                onRetry={outbox.retry}
+                onRemove={outbox.remove}
+              />
+              {session.items.length > 0 && (
+                <ConsensusView
+                  entries={session.items
+                    .filter(item => item.result)
+                    .map(item => ({
+                      id: item.id, name: item.file.name, previewUrl: item.previewUrl, result: item.result,
+                    }))}
+                />
+              )}
+              {/* Show upload and analysis progress while analyzing */}
               { isProcessing && (
-                <Box textAlign="center" py={3}>
-                  <CircularProgress size={40} />
-                  <Typography sx={{ mt: 2 }}>Processing image...</Typography>
-                </Box>
+                <AnalysisProgress
+                  phase={phase}
+                  uploadProgress={uploadProgress}
+                  serverStage={serverStage}
+                  retryInfo={retryInfo}
+                />
               )}
             </Grid>
           </Grid>
@@ -454,6 +943,58 @@ function App() {
           {snackbar.message}
         </Alert>
       </Snackbar>
+
+      <HistoryDrawer
+        open={showHistory}
+        onClose={() => setShowHistory(false)}
+        entries={history.entries}
+        error={history.error}
+        onOpenEntry={handleOpenHistoryEntry}
+        onDelete={history.remove}
+        onClear={history.clear}
+      />
+      <SettingsDialog
+        open={showSettings}
+        onClose={() => setShowSettings(false)}
+        profiles={settings.profiles}
+        activeProfile={settings.activeProfile}
+        onSwitch={settings.switchProfile}
+        onSave={settings.saveProfile}
+        onCreate={settings.createProfile}
+        onDelete={settings.deleteProfile}
+        consentGiven={hasConsent()}
+        onWithdrawConsent={handleWithdrawConsent}
+      />
+      <AuthDialog
+        open={Boolean(authPrompt)}
+        message={authPrompt && authPrompt.message}
+        onClose={() => setAuthPrompt(null)}
+        onSave={handleAuthSave}
+        onSignOut={handleAuthSignOut}
+      />
+      <DiagnosticsDrawer
+        open={showDiagnostics}
+        onClose={() => setShowDiagnostics(false)}
+        onCopied={message => setSnackbar({ open: true, message, severity: 'success' })}
+      />
+      <ScreeningReport
+        open={showReport}
+        onClose={() => setShowReport(false)}
+        report={report}
+        onError={message => setSnackbar({ open: true, message, severity: 'error' })}
+      />
+      <ConsentDialog open={showConsent} onAccept={handleConsentAccept} onCancel={handleConsentCancel} />
+      <PrivacyEditor
+        open={showEditor}
+        file={image && image.file}
+        previewUrl={image && image.previewUrl}
+        onClose={() => setShowEditor(false)}
+        onApply={(edited) => {
+          setShowEditor(false);
+          selectImage(edited);
+        }}
+        onError={message => setSnackbar({ open: true, message, severity: 'error' })}
+      />
     </ThemeProvider>
   );
 }
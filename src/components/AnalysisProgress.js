@@ -0,0 +1,76 @@
+import React from 'react';
+import {
+  Box, Typography, LinearProgress, Stepper, Step, StepLabel,
+} from '@mui/material';
+import { ANALYSIS_STATE } from '../hooks/useAnalysis';
+import { formatFileSize } from '../utils/api';
+import config from '../config';
+
+// Steps of one analysis; the backend's own stages replace the single "Analyzing" step when it reports them
+const getSteps = () => [
+  { id: 'prepare', label: 'Preparing' },
+  { id: 'upload', label: 'Uploading' },
+  ...(config.PROGRESS.STAGE_REPORTING !== 'none'
+    ? config.PROGRESS.STAGES
+    : [{ id: 'analyze', label: 'Analyzing' }]),
+];
+
+const getActiveStep = (steps, phase, uploadProgress, serverStage) => {
+  if (phase === ANALYSIS_STATE.UPLOADING) return uploadProgress ? 1 : 0;
+  const stageIndex = serverStage ? steps.findIndex(step => step.id === serverStage.stage) : -1;
+  return stageIndex >= 0 ? stageIndex : 2;
+};
+
+// Determinate multi-step progress of the running analysis: preparing, bytes uploaded, then the
+// server's stages, so a slow upload can be told apart from a slow model
+function AnalysisProgress({
+  phase, uploadProgress, serverStage, retryInfo,
+}) {
+  const steps = getSteps();
+  const activeStep = getActiveStep(steps, phase, uploadProgress, serverStage);
+  const uploading = phase === ANALYSIS_STATE.UPLOADING;
+
+  let detail;
+  let value = null; // 0-100, or null for an indeterminate bar
+  if (uploading && !uploadProgress) {
+    detail = 'Preparing image...';
+  } else if (uploading) {
+    value = uploadProgress.total > 0 ? (uploadProgress.loaded / uploadProgress.total) * 100 : 0;
+    detail = `Uploading ${formatFileSize(uploadProgress.loaded)} of ${formatFileSize(uploadProgress.total)} (${Math.round(value)}%)`;
+  } else if (serverStage) {
+    const step = steps.find(s => s.id === serverStage.stage);
+    value = serverStage.progress === null ? null : serverStage.progress * 100;
+    detail = `${step ? step.label : serverStage.stage}...`;
+  } else {
+    detail = 'Upload complete. Waiting for the analysis server...';
+  }
+
+  return (
+    <Box py={3}>
+      <Stepper activeStep={activeStep} alternativeLabel>
+        {steps.map(step => (
+          <Step key={step.id}>
+            <StepLabel>{step.label}</StepLabel>
+          </Step>
+        ))}
+      </Stepper>
+      <LinearProgress
+        variant={value === null ? 'indeterminate' : 'determinate'}
+        value={value === null ? undefined : value}
+        sx={{ mt: 3, height: 6, borderRadius: 3 }}
+      />
+      <Box textAlign="center">
+        <Typography sx={{ mt: 2 }}>
+          {retryInfo ? `Retrying... attempt ${retryInfo.attempt} of ${retryInfo.maxAttempts}` : detail}
+        </Typography>
+        {retryInfo && (
+          <Typography variant="caption" color="text.secondary">
+            Previous attempt failed: {retryInfo.error.message}
+          </Typography>
+        )}
+      </Box>
+    </Box>
+  );
+}
+
+export default AnalysisProgress;
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Typography, Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField, MenuItem, Alert,
+} from '@mui/material';
+import { AUTH_METHODS, getAuthStatus } from '../utils/auth';
+import config from '../config';
+
+const METHOD_LABELS = {
+  [AUTH_METHODS.NONE]: 'No authentication',
+  [AUTH_METHODS.API_KEY]: 'API key',
+  [AUTH_METHODS.BEARER]: 'Bearer token',
+  [AUTH_METHODS.CUSTOM]: 'Custom (provided by this deployment)',
+};
+
+const EMPTY_FORM = { apiKey: '', token: '', refreshToken: '' };
+
+// Enter the credentials sent to the analysis server; opened from the header or after a 401/403
+// `message` explains why the prompt appeared. Secrets are never read back into the form
+function AuthDialog({
+  open, message, onClose, onSave, onSignOut,
+}) {
+  const [method, setMethod] = useState(config.AUTH.METHOD);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const status = getAuthStatus();
+
+  useEffect(() => {
+    if (!open) return;
+    setMethod(getAuthStatus().method);
+    setForm(EMPTY_FORM);
+  }, [open]);
+
+  const handleChange = (event) => {
+    setForm(prev => ({ ...prev, [event.target.name]: event.target.value }));
+  };
+
+  const canSave = (method === AUTH_METHODS.API_KEY && form.apiKey.trim() !== '')
+    || (method === AUTH_METHODS.BEARER && form.token.trim() !== '')
+    || method === AUTH_METHODS.NONE
+    || method === AUTH_METHODS.CUSTOM;
+
+  const handleSave = () => {
+    onSave({
+      method,
+      apiKey: form.apiKey.trim(),
+      token: form.token.trim(),
+      refreshToken: form.refreshToken.trim(),
+    });
+  };
+
+  const methods = Object.values(AUTH_METHODS)
+    .filter(value => value !== AUTH_METHODS.CUSTOM || config.AUTH.METHOD === AUTH_METHODS.CUSTOM);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle sx={{ color: '#1e293b', fontWeight: 600 }}>Server credentials</DialogTitle>
+      <DialogContent>
+        {message && <Alert severity="warning" sx={{ mb: 2 }}>{message}</Alert>}
+        <TextField
+          select
+          fullWidth
+          size="small"
+          label="Authentication"
+          value={method}
+          onChange={event => setMethod(event.target.value)}
+          sx={{ mt: 1, mb: 2 }}
+        >
+          {methods.map(value => <MenuItem key={value} value={value}>{METHOD_LABELS[value]}</MenuItem>)}
+        </TextField>
+
+        {method === AUTH_METHODS.API_KEY && (
+          <TextField
+            fullWidth
+            size="small"
+            type="password"
+            name="apiKey"
+            label="API key"
+            autoComplete="off"
+            value={form.apiKey}
+            onChange={handleChange}
+            helperText={`Sent in the ${config.AUTH.API_KEY_HEADER} header`}
+          />
+        )}
+        {method === AUTH_METHODS.BEARER && (
+          <>
+            <TextField
+              fullWidth
+              size="small"
+              type="password"
+              name="token"
+              label="Access token"
+              autoComplete="off"
+              value={form.token}
+              onChange={handleChange}
+              sx={{ mb: 2 }}
+            />
+            {config.AUTH.REFRESH_ENDPOINT && (
+              <TextField
+                fullWidth
+                size="small"
+                type="password"
+                name="refreshToken"
+                label="Refresh token (optional)"
+                autoComplete="off"
+                value={form.refreshToken}
+                onChange={handleChange}
+                helperText="Used to renew the access token before it expires"
+              />
+            )}
+          </>
+        )}
+        {method === AUTH_METHODS.CUSTOM && (
+          <Typography variant="body2" sx={{ color: '#475569' }}>
+            {status.configured
+              ? 'Request headers are added by this deployment\'s own authentication hook.'
+              : 'This deployment expects a custom authentication hook, but none is registered.'}
+          </Typography>
+        )}
+
+        {status.configured && status.expiresAt && (
+          <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 2 }}>
+            Current token expires {new Date(status.expiresAt).toLocaleString()}
+            {status.canRefresh ? ' and is renewed automatically.' : '.'}
+          </Typography>
+        )}
+        <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 2 }}>
+          {config.AUTH.STORAGE === 'session'
+            ? 'Credentials are kept for this browser tab only and are removed when it is closed.'
+            : 'Credentials are kept in memory only and must be entered again after a reload.'}
+        </Typography>
+      </DialogContent>
+      <DialogActions>
+        {status.configured && method !== AUTH_METHODS.CUSTOM && (
+          <Button onClick={onSignOut} sx={{ color: '#dc2626', mr: 'auto' }}>Forget credentials</Button>
+        )}
+        <Button onClick={onClose} sx={{ color: '#475569' }}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={!canSave}
+          sx={{ bgcolor: '#1e293b', '&:hover': { bgcolor: '#0f172a' } }}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default AuthDialog;
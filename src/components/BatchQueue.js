@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import {
+  Box, Typography, Card, CardContent, Button, Checkbox, Chip, IconButton, LinearProgress, Tooltip,
+} from '@mui/material';
+import {
+  PlayArrow as PlayArrowIcon,
+  Replay as ReplayIcon,
+  Close as CloseIcon,
+  Visibility as VisibilityIcon,
+  DeleteSweep as DeleteSweepIcon,
+} from '@mui/icons-material';
+import { BATCH_STATUS } from '../hooks/useBatchQueue';
+import { formatFileSize } from '../utils/api';
+import ExportMenu from './ExportMenu';
+
+const STATUS_CHIPS = {
+  [BATCH_STATUS.QUEUED]: { label: 'Queued', color: 'default' },
+  [BATCH_STATUS.ANALYZING]: { label: 'Analyzing', color: 'info' },
+  [BATCH_STATUS.DONE]: { label: 'Done', color: 'success' },
+  [BATCH_STATUS.ADULT_INVALID]: { label: 'Adult Invalid', color: 'warning' },
+  [BATCH_STATUS.FAILED]: { label: 'Failed', color: 'error' },
+};
+
+// Short summary line for a finished item
+const summarize = (item) => {
+  if (item.status === BATCH_STATUS.FAILED) return item.error;
+  if (!item.result) return null;
+  const { age, finalDecision } = item.result;
+  const parts = [];
+  if (age) parts.push(`Kids: ${age.kidsCount} | Adults: ${age.adultsCount}`);
+  if (finalDecision) parts.push(`Decision: ${finalDecision}`);
+  if (parts.length === 0 && item.result.message) parts.push(item.result.message);
+  return parts.join(' — ');
+};
+
+// List of queued images with per-item status and results
+function BatchQueue({
+  items, isRunning, onStart, onRetry, onRemove, onClear, onView, title = 'Batch Queue',
+}) {
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  if (items.length === 0) return null;
+
+  // Export the checked results, or every finished one when nothing is checked
+  const exportable = items.filter(item => item.result);
+  const selected = exportable.filter(item => selectedIds.includes(item.id));
+  const exportRecords = (selected.length > 0 ? selected : exportable).map(item => ({
+    fileName: item.file.name,
+    analyzedAt: item.finishedAt,
+    result: item.result,
+  }));
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+  };
+
+  const finished = items.filter(item => (
+    item.status !== BATCH_STATUS.QUEUED && item.status !== BATCH_STATUS.ANALYZING
+  )).length;
+  const hasQueued = items.some(item => item.status === BATCH_STATUS.QUEUED);
+
+  return (
+    <Card sx={{ mt: 2 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+          <Typography variant="h6" sx={{ color: '#1e293b', fontWeight: 600 }}>
+            {title} ({finished}/{items.length})
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <ExportMenu
+              records={exportRecords}
+              label={selected.length > 0 ? `Export (${selected.length})` : 'Export all'}
+            />
+            <Button
+              variant="contained"
+              size="small"
+              startIcon={<PlayArrowIcon />}
+              onClick={onStart}
+              disabled={isRunning || !hasQueued}
+              sx={{ bgcolor: '#1e293b', '&:hover': { bgcolor: '#0f172a' } }}
+            >
+              {isRunning ? 'Running...' : 'Analyze All'}
+            </Button>
+            <Button
+              variant="outlined"
+              size="small"
+              startIcon={<DeleteSweepIcon />}
+              onClick={onClear}
+              disabled={isRunning}
+              sx={{ borderColor: '#e2e8f0', color: '#475569' }}
+            >
+              Clear
+            </Button>
+          </Box>
+        </Box>
+        {isRunning && (
+          <LinearProgress variant="determinate" value={(finished / items.length) * 100} sx={{ mb: 2 }} />
+        )}
+        {items.map((item) => {
+          const chip = STATUS_CHIPS[item.status];
+          const label = item.status === BATCH_STATUS.ANALYZING && item.attempt
+            ? `${chip.label} (attempt ${item.attempt})`
+            : chip.label;
+          return (
+            <Box key={item.id} sx={{ display: 'flex', alignItems: 'center', gap: 2, p: 1, mb: 1, border: '1px solid #e0e7ef', borderRadius: 1 }}>
+              <Checkbox
+                size="small"
+                checked={selectedIds.includes(item.id)}
+                onChange={() => toggleSelected(item.id)}
+                disabled={!item.result}
+                inputProps={{ 'aria-label': `Select ${item.file.name} for export` }}
+                sx={{ p: 0.5 }}
+              />
+              <img
+                src={item.previewUrl}
+                alt={item.file.name}
+                style={{ width: 56, height: 56, objectFit: 'cover', borderRadius: 6, margin: 0, flexShrink: 0 }}
+              />
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Typography variant="body2" noWrap sx={{ fontWeight: 600, color: '#0f172a' }}>
+                  {item.file.name}
+                </Typography>
+                <Typography variant="caption" sx={{ color: '#475569', display: 'block' }}>
+                  {item.sizeSummary || formatFileSize(item.file.size)}
+                </Typography>
+                {summarize(item) && (
+                  <Typography variant="caption" sx={{ color: item.status === BATCH_STATUS.FAILED ? '#dc2626' : '#475569', display: 'block' }}>
+                    {summarize(item)}
+                  </Typography>
+                )}
+              </Box>
+              <Chip label={label} color={chip.color} size="small" variant="outlined" sx={{ fontWeight: 600 }} />
+              {item.result && (
+                <Tooltip title="Show in result cards">
+                  <IconButton size="small" onClick={() => onView(item)}>
+                    <VisibilityIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+              {item.status === BATCH_STATUS.FAILED && (
+                <Tooltip title="Retry">
+                  <IconButton size="small" onClick={() => onRetry(item.id)}>
+                    <ReplayIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+              <Tooltip title="Remove">
+                <span>
+                  <IconButton size="small" onClick={() => onRemove(item.id)} disabled={item.status === BATCH_STATUS.ANALYZING}>
+                    <CloseIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </Box>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default BatchQueue;
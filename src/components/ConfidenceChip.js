@@ -0,0 +1,19 @@
+import React from 'react';
+import { Chip } from '@mui/material';
+import { formatConfidence, getConfidenceColor } from '../utils/confidence';
+
+// Confidence chip colored by its configured level; expects a region from scoreRegions
+function ConfidenceChip({ score, level }) {
+  if (score === null) return null;
+  return (
+    <Chip
+      label={formatConfidence(score)}
+      size="small"
+      variant="outlined"
+      color={getConfidenceColor(level)}
+      sx={{ fontWeight: 600 }}
+    />
+  );
+}
+
+export default ConfidenceChip;
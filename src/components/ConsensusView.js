@@ -0,0 +1,153 @@
+import React from 'react';
+import {
+  Box, Typography, Card, CardContent, Chip, Table, TableBody, TableCell, TableHead, TableRow, Tooltip,
+} from '@mui/material';
+import { EXCLUSION_REASONS, buildConsensus } from '../utils/consensus';
+import { formatConfidence } from '../utils/confidence';
+import config from '../config';
+
+const EXCLUSION_LABELS = {
+  [EXCLUSION_REASONS.NO_FACE]: 'No face detected',
+  [EXCLUSION_REASONS.ADULT]: 'Adult in frame',
+  [EXCLUSION_REASONS.NO_DECISION]: 'No autism result',
+};
+
+const formatShare = (count, total) => `${count} of ${total} (${Math.round((count / total) * 100)}%)`;
+
+// Confidence range of one region across images: min–max bar with the mean marked
+function ConfidenceRange({ min, max, mean }) {
+  if (mean === null) return <Typography variant="body2">—</Typography>;
+  return (
+    <Tooltip title={`Min ${formatConfidence(min)} · mean ${formatConfidence(mean)} · max ${formatConfidence(max)}`}>
+      <Box sx={{ position: 'relative', height: 10, minWidth: 100, bgcolor: '#f1f5f9', borderRadius: 5 }}>
+        <Box
+          sx={{
+            position: 'absolute',
+            top: 0,
+            bottom: 0,
+            left: `${min * 100}%`,
+            width: `${Math.max((max - min) * 100, 1)}%`,
+            bgcolor: '#94a3b8',
+            borderRadius: 5,
+          }}
+        />
+        <Box sx={{ position: 'absolute', top: -2, bottom: -2, left: `${mean * 100}%`, width: 2, bgcolor: '#0f172a' }} />
+      </Box>
+    </Tooltip>
+  );
+}
+
+// Combined view of a subject session: consensus decision, agreement, per-region confidence spread,
+// and which images disagreed or were left out
+function ConsensusView({ entries }) {
+  const consensus = buildConsensus(entries);
+  const {
+    included, excluded, votes, decision, disagreeing, regions,
+  } = consensus;
+  const hasEnough = included.length >= config.SESSION.MIN_IMAGES;
+
+  return (
+    <Card sx={{ mt: 2 }}>
+      <CardContent>
+        <Typography variant="h6" sx={{ color: '#1e293b', fontWeight: 600, mb: 1 }}>
+          Session Consensus
+        </Typography>
+
+        {!hasEnough ? (
+          <Typography color="text.secondary" sx={{ fontStyle: 'italic', mb: 2 }}>
+            Analyze at least {config.SESSION.MIN_IMAGES} usable images of the child to see a consensus
+            ({included.length} so far).
+          </Typography>
+        ) : (
+          <>
+            <Box sx={{ bgcolor: '#fef2f2', border: '1px solid #fecaca', borderRadius: 2, p: 2, mb: 2, textAlign: 'center' }}>
+              <Typography variant="subtitle1">Consensus Decision</Typography>
+              <Typography variant="body1" sx={{ color: '#dc2626', fontWeight: 700 }}>
+                {decision || 'No consensus — images are evenly split'}
+              </Typography>
+              <Box sx={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+                {votes.map(vote => (
+                  <Chip
+                    key={vote.label}
+                    size="small"
+                    variant="outlined"
+                    label={`${vote.label}: ${formatShare(vote.count, included.length)}`}
+                    sx={{ fontWeight: 600 }}
+                  />
+                ))}
+              </Box>
+            </Box>
+
+            {regions.length > 0 && (
+              <Table size="small" sx={{ mb: 2 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 600 }}>Region</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Majority</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Agreement</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Confidence spread</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {regions.map(r => (
+                    <TableRow key={r.region}>
+                      <TableCell>{r.region}</TableCell>
+                      <TableCell>
+                        {r.majorityLabel || 'Split'}
+                        {r.disagreeing.length > 0 && (
+                          <Typography variant="caption" sx={{ color: '#475569', display: 'block' }}>
+                            Differs in: {r.disagreeing.map(p => p.name).join(', ')}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{formatShare(r.votes[0].count, r.count)}</TableCell>
+                      <TableCell>
+                        <ConfidenceRange min={r.min} max={r.max} mean={r.mean} />
+                        {r.stdDev !== null && (
+                          <Typography variant="caption" sx={{ color: '#475569' }}>
+                            ±{(r.stdDev * 100).toFixed(1)} pts
+                          </Typography>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+
+            {disagreeing.length > 0 && (
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>Images that disagreed</Typography>
+                {disagreeing.map(entry => (
+                  <Box key={entry.id} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                    <img
+                      src={entry.previewUrl}
+                      alt={entry.name}
+                      style={{ width: 40, height: 40, objectFit: 'cover', borderRadius: 6, margin: 0, flexShrink: 0 }}
+                    />
+                    <Typography variant="body2" noWrap sx={{ flex: 1, minWidth: 0 }}>{entry.name}</Typography>
+                    <Typography variant="body2" sx={{ color: '#dc2626', fontWeight: 600 }}>{entry.result.finalDecision}</Typography>
+                  </Box>
+                ))}
+              </Box>
+            )}
+          </>
+        )}
+
+        {excluded.length > 0 && (
+          <Box>
+            <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>Excluded automatically</Typography>
+            {excluded.map(entry => (
+              <Box key={entry.id} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <Typography variant="body2" noWrap sx={{ flex: 1, minWidth: 0, color: '#475569' }}>{entry.name}</Typography>
+                <Chip label={EXCLUSION_LABELS[entry.reason]} size="small" color="warning" variant="outlined" />
+              </Box>
+            ))}
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ConsensusView;
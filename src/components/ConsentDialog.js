@@ -0,0 +1,42 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Typography, Dialog, DialogTitle, DialogContent, DialogActions, Button, Checkbox, FormControlLabel,
+} from '@mui/material';
+import config from '../config';
+
+// Consent acknowledgement shown before the first analysis; text comes from config.PRIVACY
+function ConsentDialog({ open, onAccept, onCancel }) {
+  const [checked, setChecked] = useState(false);
+
+  useEffect(() => {
+    if (open) setChecked(false);
+  }, [open]);
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ color: '#1e293b', fontWeight: 600 }}>{config.PRIVACY.CONSENT_TITLE}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ color: '#0f172a', mb: 2 }}>
+          {config.PRIVACY.CONSENT_TEXT}
+        </Typography>
+        <FormControlLabel
+          control={<Checkbox checked={checked} onChange={event => setChecked(event.target.checked)} />}
+          label={<Typography variant="body2">{config.PRIVACY.CONSENT_CHECKBOX}</Typography>}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel} sx={{ color: '#475569' }}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={onAccept}
+          disabled={!checked}
+          sx={{ bgcolor: '#1e293b', '&:hover': { bgcolor: '#0f172a' } }}
+        >
+          Continue
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ConsentDialog;
@@ -0,0 +1,197 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box, Typography, Drawer, Tabs, Tab, Button, IconButton, Chip, Tooltip, TextField, MenuItem, Collapse,
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  ContentCopy as CopyIcon,
+  DeleteSweep as DeleteSweepIcon,
+} from '@mui/icons-material';
+import {
+  buildDebugBundle, clearDiagnostics, getConfigSnapshot, getDiagnostics, subscribeToDiagnostics,
+} from '../utils/diagnostics';
+import { LOG_LEVELS } from '../utils/logger';
+import { formatFileSize } from '../utils/api';
+import { downloadTextFile } from '../utils/exportResults';
+import config from '../config';
+
+const LEVEL_COLORS = {
+  debug: 'default', info: 'info', warn: 'warning', error: 'error',
+};
+
+const formatTime = time => new Date(time).toLocaleTimeString([], { hour12: false });
+
+const formatSize = bytes => (bytes === null || bytes === undefined ? '?' : formatFileSize(bytes));
+
+const statusColor = (request) => {
+  if (request.error || request.status >= 500) return 'error';
+  if (request.status >= 400) return 'warning';
+  if (request.status) return 'success';
+  return 'default';
+};
+
+function Json({ value }) {
+  return (
+    <Box
+      component="pre"
+      sx={{
+        m: 0, mt: 1, p: 1, bgcolor: '#f8fafc', border: '1px solid #e2e8f0', borderRadius: 1, fontSize: 12, maxHeight: 300, overflow: 'auto',
+      }}
+    >
+      {typeof value === 'string' ? value : JSON.stringify(value, null, 2)}
+    </Box>
+  );
+}
+
+// One backend request; click to show its redacted response body
+function RequestRow({ request }) {
+  const [open, setOpen] = useState(false);
+  let path = request.url;
+  try {
+    path = new URL(request.url).pathname;
+  } catch (error) {
+    // Keep the URL as recorded
+  }
+
+  return (
+    <Box sx={{ borderBottom: '1px solid #e0e7ef', py: 1 }}>
+      <Box onClick={() => setOpen(!open)} sx={{ display: 'flex', alignItems: 'center', gap: 1, cursor: 'pointer' }}>
+        <Typography variant="caption" sx={{ color: '#475569', fontFamily: 'monospace' }}>{formatTime(request.startedAt)}</Typography>
+        <Chip label={request.error ? 'ERR' : request.status || '…'} color={statusColor(request)} size="small" variant="outlined" />
+        <Typography variant="body2" noWrap sx={{ flex: 1, minWidth: 0, fontFamily: 'monospace' }} title={request.url}>
+          {request.method} {path}
+        </Typography>
+        <Typography variant="caption" sx={{ color: '#475569', whiteSpace: 'nowrap' }}>
+          {request.durationMs === null ? 'pending' : `${request.durationMs} ms`}
+        </Typography>
+      </Box>
+      <Typography variant="caption" sx={{ color: '#475569', display: 'block' }}>
+        {request.kind} · sent {formatSize(request.requestSize)} · received {formatSize(request.responseSize)}
+        {request.error && ` · ${request.error}`}
+      </Typography>
+      <Collapse in={open} unmountOnExit>
+        {request.body === null ? (
+          <Typography variant="caption" color="text.secondary">No response body recorded.</Typography>
+        ) : <Json value={request.body} />}
+      </Collapse>
+    </Box>
+  );
+}
+
+// Hidden developer drawer: recent backend requests, the structured log, health-check history and the
+// active configuration, plus a debug bundle to attach to bug reports
+function DiagnosticsDrawer({ open, onClose, onCopied }) {
+  const [tab, setTab] = useState('requests');
+  const [minLevel, setMinLevel] = useState('debug');
+  const [diagnostics, setDiagnostics] = useState(getDiagnostics);
+
+  // Follow new entries only while the drawer is open
+  useEffect(() => {
+    if (!open) return undefined;
+    setDiagnostics(getDiagnostics());
+    return subscribeToDiagnostics(() => setDiagnostics(getDiagnostics()));
+  }, [open]);
+
+  const { requests, healthChecks, log } = diagnostics;
+  const logEntries = log.filter(entry => LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(minLevel));
+
+  // Clipboard access can be refused; the bundle is downloaded instead
+  const handleCopyBundle = async () => {
+    const text = JSON.stringify(buildDebugBundle(), null, 2);
+    try {
+      await navigator.clipboard.writeText(text);
+      onCopied(config.SUCCESS.DEBUG_BUNDLE_COPIED);
+    } catch (error) {
+      downloadTextFile(text, `debug-bundle-${new Date().toISOString().replace(/[:.]/g, '-')}.json`, 'application/json');
+      onCopied(config.SUCCESS.DEBUG_BUNDLE_DOWNLOADED);
+    }
+  };
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 560 }, p: 2, display: 'flex', flexDirection: 'column', height: '100%' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+          <Typography variant="h6" sx={{ color: '#1e293b', fontWeight: 600, flex: 1 }}>
+            Diagnostics
+          </Typography>
+          <Button
+            size="small"
+            variant="contained"
+            startIcon={<CopyIcon />}
+            onClick={handleCopyBundle}
+            sx={{ bgcolor: '#1e293b', '&:hover': { bgcolor: '#0f172a' } }}
+          >
+            Copy debug bundle
+          </Button>
+          <Tooltip title="Clear">
+            <IconButton size="small" onClick={clearDiagnostics}>
+              <DeleteSweepIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+          <IconButton size="small" onClick={onClose}>
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Box>
+
+        <Tabs value={tab} onChange={(event, value) => setTab(value)} variant="scrollable" sx={{ borderBottom: '1px solid #e2e8f0', mb: 1 }}>
+          <Tab value="requests" label={`Requests (${requests.length})`} />
+          <Tab value="log" label={`Log (${log.length})`} />
+          <Tab value="health" label={`Health (${healthChecks.length})`} />
+          <Tab value="config" label="Config" />
+        </Tabs>
+
+        <Box sx={{ flex: 1, overflow: 'auto' }}>
+          {tab === 'requests' && (requests.length === 0
+            ? <Typography color="text.secondary" sx={{ fontStyle: 'italic' }}>No requests yet.</Typography>
+            : [...requests].reverse().map(request => <RequestRow key={request.id} request={request} />))}
+
+          {tab === 'log' && (
+            <>
+              <TextField
+                select
+                size="small"
+                label="Minimum level"
+                value={minLevel}
+                onChange={event => setMinLevel(event.target.value)}
+                sx={{ my: 1, minWidth: 160 }}
+              >
+                {LOG_LEVELS.map(level => <MenuItem key={level} value={level}>{level}</MenuItem>)}
+              </TextField>
+              {logEntries.length === 0 && (
+                <Typography color="text.secondary" sx={{ fontStyle: 'italic' }}>No log entries.</Typography>
+              )}
+              {[...logEntries].reverse().map(entry => (
+                <Box key={entry.id} sx={{ borderBottom: '1px solid #e0e7ef', py: 1 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Typography variant="caption" sx={{ color: '#475569', fontFamily: 'monospace' }}>{formatTime(entry.time)}</Typography>
+                    <Chip label={entry.level} color={LEVEL_COLORS[entry.level]} size="small" variant="outlined" />
+                    <Typography variant="caption" sx={{ color: '#475569' }}>{entry.scope}</Typography>
+                  </Box>
+                  <Typography variant="body2" sx={{ mt: 0.5 }}>{entry.message}</Typography>
+                  {entry.data !== undefined && <Json value={entry.data} />}
+                </Box>
+              ))}
+            </>
+          )}
+
+          {tab === 'health' && (healthChecks.length === 0
+            ? <Typography color="text.secondary" sx={{ fontStyle: 'italic' }}>No health checks yet.</Typography>
+            : [...healthChecks].reverse().map((check, index) => (
+              <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1, borderBottom: '1px solid #e0e7ef', py: 1 }}>
+                <Typography variant="caption" sx={{ color: '#475569', fontFamily: 'monospace' }}>{formatTime(check.time)}</Typography>
+                <Chip label={check.ok ? 'OK' : 'Failed'} color={check.ok ? 'success' : 'error'} size="small" variant="outlined" />
+                <Typography variant="body2" noWrap sx={{ flex: 1, minWidth: 0 }} title={check.url}>
+                  {check.error || (check.status ? `HTTP ${check.status}` : '')}
+                </Typography>
+                <Typography variant="caption" sx={{ color: '#475569' }}>{check.durationMs} ms</Typography>
+              </Box>
+            )))}
+
+          {tab === 'config' && <Json value={getConfigSnapshot()} />}
+        </Box>
+      </Box>
+    </Drawer>
+  );
+}
+
+export default DiagnosticsDrawer;
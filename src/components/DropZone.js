@@ -0,0 +1,85 @@
+import React, { useRef, useState } from 'react';
+import { Box, Typography } from '@mui/material';
+import { CloudUpload as CloudUploadIcon } from '@mui/icons-material';
+import config from '../config';
+
+// Upload area accepting dropped or browsed images, one or many at a time
+function DropZone({ onFiles, disabled = false }) {
+  const inputRef = useRef(null);
+  const dragDepth = useRef(0);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+  const handleDragEnter = (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    dragDepth.current += 1;
+    if (!disabled) setIsDragging(true);
+  };
+
+  const handleDragOver = (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = disabled ? 'none' : 'copy';
+  };
+
+  const handleDragLeave = (event) => {
+    if (!hasFiles(event)) return;
+    // Child elements fire their own enter/leave pairs, so only clear at the outermost leave
+    dragDepth.current = Math.max(dragDepth.current - 1, 0);
+    if (dragDepth.current === 0) setIsDragging(false);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    dragDepth.current = 0;
+    setIsDragging(false);
+    if (disabled) return;
+    const files = Array.from(event.dataTransfer.files || []);
+    if (files.length > 0) onFiles(files);
+  };
+
+  const handleInputChange = (event) => {
+    const files = Array.from(event.target.files || []);
+    // Clear the value so picking the same file again still fires onChange
+    event.target.value = '';
+    if (files.length > 0) onFiles(files);
+  };
+
+  return (
+    <Box
+      className={isDragging ? 'dragover' : undefined}
+      onClick={() => !disabled && inputRef.current.click()}
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      sx={{
+        border: '2px dashed #e2e8f0', p: 4, textAlign: 'center', cursor: disabled ? 'default' : 'pointer',
+        borderRadius: 3, bgcolor: '#fafafa', transition: 'all 0.2s ease',
+        '&:hover': { borderColor: '#1e293b', bgcolor: '#f5f5f5' },
+        '&.dragover': { borderColor: '#1e293b', bgcolor: '#e0e7ef', transform: 'scale(1.01)' },
+      }}
+    >
+      <input
+        id="image-input"
+        ref={inputRef}
+        type="file"
+        accept={config.UPLOAD.ACCEPT}
+        multiple
+        onChange={handleInputChange}
+        style={{ display: 'none' }}
+      />
+      <CloudUploadIcon sx={{ fontSize: 48, color: isDragging ? '#1e293b' : '#475569', mb: 2 }} />
+      <Typography variant="h6" sx={{ color: '#0f172a', mb: 1, fontWeight: 600 }}>
+        {isDragging ? 'Drop images here' : 'Upload Images'}
+      </Typography>
+      <Typography variant="body2" sx={{ color: '#475569' }}>
+        Drag & drop, paste or click to browse. Select several images to queue a batch.
+      </Typography>
+    </Box>
+  );
+}
+
+export default DropZone;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { Alert, AlertTitle, Box, Button } from '@mui/material';
+import { describeError } from '../utils/errorMessages';
+
+// Error Alert with a localized title and buttons for the suggested recovery actions
+function ErrorAlert({ error, onAction, sx }) {
+  if (!error) return null;
+  const { title, message, status, actions } = describeError(error);
+
+  return (
+    <Alert severity="error" sx={sx}>
+      <AlertTitle sx={{ fontWeight: 600 }}>{title}</AlertTitle>
+      {message}
+      {status && ` (HTTP ${status})`}
+      {onAction && actions.length > 0 && (
+        <Box sx={{ display: 'flex', gap: 1, mt: 1.5, flexWrap: 'wrap' }}>
+          {actions.map(action => (
+            <Button
+              key={action.type}
+              size="small"
+              variant="outlined"
+              color="error"
+              onClick={() => onAction(action.type)}
+            >
+              {action.label}
+            </Button>
+          ))}
+        </Box>
+      )}
+    </Alert>
+  );
+}
+
+export default ErrorAlert;
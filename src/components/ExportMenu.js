@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+import { Button, Menu, MenuItem } from '@mui/material';
+import { FileDownload as FileDownloadIcon } from '@mui/icons-material';
+import { downloadResults } from '../utils/exportResults';
+
+// Button with a JSON / CSV choice that downloads the given result records
+function ExportMenu({ records, label = 'Export', size = 'small', disabled, sx }) {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const handleExport = (format) => {
+    setAnchorEl(null);
+    downloadResults(records, format);
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        size={size}
+        startIcon={<FileDownloadIcon />}
+        onClick={event => setAnchorEl(event.currentTarget)}
+        disabled={disabled || records.length === 0}
+        sx={{ borderColor: '#e2e8f0', color: '#475569', ...sx }}
+      >
+        {label}
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        <MenuItem onClick={() => handleExport('json')}>JSON (re-importable)</MenuItem>
+        <MenuItem onClick={() => handleExport('csv')}>CSV (one row per face / region)</MenuItem>
+      </Menu>
+    </>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { Box } from '@mui/material';
+
+export const CHILD_COLOR = '#16a34a';
+export const ADULT_COLOR = '#ca8a04';
+export const UNKNOWN_COLOR = '#64748b';
+
+export const getFaceColor = face => (
+  face.isChild === null ? UNKNOWN_COLOR : face.isChild ? CHILD_COLOR : ADULT_COLOR
+);
+
+export const getFaceLabel = (face) => {
+  const group = face.isChild === null ? 'Unknown' : face.isChild ? 'Child' : 'Adult';
+  return `Age ${face.age} · ${group}`;
+};
+
+// Draws each face's bounding box over the original image
+// Boxes are [x, y, w, h] in the pixel space of the uploaded image (imageSize); positions are
+// percentages so the overlay follows the displayed size without measuring it
+function FaceOverlay({
+  imageUrl, imageSize, faces, highlightedId, hiddenIds = [], onHighlight, onSelect,
+}) {
+  const [naturalSize, setNaturalSize] = useState(null);
+  const size = imageSize || naturalSize;
+
+  const handleLoad = (event) => {
+    setNaturalSize({ width: event.target.naturalWidth, height: event.target.naturalHeight });
+  };
+
+  return (
+    <Box sx={{ position: 'relative', display: 'inline-block', width: '100%', maxWidth: 350, lineHeight: 0 }}>
+      <img
+        src={imageUrl}
+        alt="Detected faces"
+        onLoad={handleLoad}
+        style={{ width: '100%', height: 'auto', margin: 0, borderRadius: 8, border: '1px solid #f1f5f9' }}
+      />
+      {size && faces.filter(face => face.box && !hiddenIds.includes(face.id)).map((face) => {
+        const [x, y, w, h] = face.box;
+        const color = getFaceColor(face);
+        const highlighted = face.id === highlightedId;
+        return (
+          <Box
+            key={face.id}
+            onMouseEnter={() => onHighlight && onHighlight(face.id)}
+            onMouseLeave={() => onHighlight && onHighlight(null)}
+            onClick={() => onSelect && onSelect(face.id)}
+            sx={{
+              position: 'absolute',
+              left: `${(x / size.width) * 100}%`,
+              top: `${(y / size.height) * 100}%`,
+              width: `${(w / size.width) * 100}%`,
+              height: `${(h / size.height) * 100}%`,
+              border: `${highlighted ? 3 : 2}px solid ${color}`,
+              borderRadius: 1,
+              bgcolor: highlighted ? `${color}33` : 'transparent',
+              cursor: 'pointer',
+              transition: 'background-color 0.15s ease',
+              boxSizing: 'border-box',
+            }}
+          >
+            <Box
+              component="span"
+              sx={{
+                position: 'absolute',
+                left: -2,
+                bottom: '100%',
+                px: 0.5,
+                bgcolor: color,
+                color: '#fff',
+                fontSize: 11,
+                fontWeight: 600,
+                lineHeight: 1.6,
+                whiteSpace: 'nowrap',
+                borderRadius: '4px 4px 0 0',
+              }}
+            >
+              {getFaceLabel(face)}
+            </Box>
+          </Box>
+        );
+      })}
+    </Box>
+  );
+}
+
+export default FaceOverlay;
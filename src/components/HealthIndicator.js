@@ -0,0 +1,37 @@
+import React from 'react';
+import { Chip, CircularProgress, Tooltip } from '@mui/material';
+import { FiberManualRecord as DotIcon } from '@mui/icons-material';
+import { HEALTH_STATUS } from '../hooks/useBackendHealth';
+
+const STATUS_DISPLAY = {
+  [HEALTH_STATUS.CHECKING]: { label: 'Checking server', color: '#94a3b8' },
+  [HEALTH_STATUS.ONLINE]: { label: 'Server online', color: '#16a34a' },
+  [HEALTH_STATUS.WAKING]: { label: 'Server waking up', color: '#ca8a04' },
+  [HEALTH_STATUS.OFFLINE]: { label: 'Server offline', color: '#dc2626' },
+};
+
+// Header chip showing backend availability; click to check again
+function HealthIndicator({ status, lastChecked, onCheck }) {
+  const display = STATUS_DISPLAY[status];
+  const busy = status === HEALTH_STATUS.CHECKING || status === HEALTH_STATUS.WAKING;
+  const title = lastChecked
+    ? `Last checked ${lastChecked.toLocaleTimeString()}. Click to check now.`
+    : 'Click to check now.';
+
+  return (
+    <Tooltip title={title}>
+      <Chip
+        icon={busy
+          ? <CircularProgress size={12} sx={{ color: `${display.color} !important` }} />
+          : <DotIcon sx={{ fontSize: 14, color: `${display.color} !important` }} />}
+        label={display.label}
+        variant="outlined"
+        size="small"
+        onClick={onCheck}
+        sx={{ borderColor: display.color, color: display.color, fontWeight: 600, pl: 0.5 }}
+      />
+    </Tooltip>
+  );
+}
+
+export default HealthIndicator;
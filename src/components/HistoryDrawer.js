@@ -0,0 +1,182 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box, Typography, Drawer, TextField, InputAdornment, Button, Checkbox, IconButton, Chip, Tooltip, Alert,
+} from '@mui/material';
+import {
+  Search as SearchIcon,
+  Close as CloseIcon,
+  Delete as DeleteIcon,
+  OpenInNew as OpenIcon,
+  DeleteSweep as DeleteSweepIcon,
+} from '@mui/icons-material';
+import { RESPONSE_STATUS } from '../utils/response';
+import ExportMenu from './ExportMenu';
+import config from '../config';
+
+const STATUS_CHIPS = {
+  [RESPONSE_STATUS.CHILD_AUTISM_SCREENED]: { label: 'Screened', color: 'success' },
+  [RESPONSE_STATUS.ADULT_INVALID]: { label: 'Adult Invalid', color: 'warning' },
+  [RESPONSE_STATUS.NO_FACES]: { label: 'No Faces', color: 'default' },
+};
+
+const matchesQuery = (entry, query) => {
+  if (!query) return true;
+  const haystack = [
+    entry.fileName,
+    entry.status,
+    entry.message,
+    entry.finalDecision,
+    new Date(entry.createdAt).toLocaleString(),
+  ].filter(Boolean).join(' ').toLowerCase();
+  return haystack.includes(query.toLowerCase());
+};
+
+// Side drawer to browse, search, re-open and delete locally stored analyses
+function HistoryDrawer({ open, onClose, entries, error, onOpenEntry, onDelete, onClear }) {
+  const [query, setQuery] = useState('');
+  const [confirmClear, setConfirmClear] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const [thumbnailUrls, setThumbnailUrls] = useState({});
+
+  // Thumbnail object URLs live only while the drawer shows the entries
+  useEffect(() => {
+    if (!open) return undefined;
+    const urls = Object.fromEntries(entries
+      .filter(entry => entry.thumbnail)
+      .map(entry => [entry.id, URL.createObjectURL(entry.thumbnail)]));
+    setThumbnailUrls(urls);
+    return () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+  }, [entries, open]);
+
+  const visible = entries.filter(entry => matchesQuery(entry, query));
+
+  // Export the checked entries, or every matching one when nothing is checked
+  const selected = entries.filter(entry => selectedIds.includes(entry.id));
+  const exportRecords = (selected.length > 0 ? selected : visible).map(entry => ({
+    fileName: entry.fileName,
+    analyzedAt: entry.createdAt,
+    result: entry.result,
+  }));
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+  };
+
+  const handleClear = () => {
+    if (!confirmClear) {
+      setConfirmClear(true);
+      return;
+    }
+    setConfirmClear(false);
+    onClear();
+  };
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 400 }, p: 2, display: 'flex', flexDirection: 'column', height: '100%' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+          <Typography variant="h6" sx={{ color: '#1e293b', fontWeight: 600 }}>
+            Analysis History
+          </Typography>
+          <IconButton onClick={onClose} size="small">
+            <CloseIcon />
+          </IconButton>
+        </Box>
+        <Typography variant="caption" color="text.secondary" sx={{ mb: 2 }}>
+          Stored only in this browser for {config.HISTORY.RETENTION_DAYS} days.
+        </Typography>
+        {error && <Alert severity="warning" sx={{ mb: 2 }}>{error}</Alert>}
+        <TextField
+          size="small"
+          placeholder="Search by file, decision or date"
+          value={query}
+          onChange={event => setQuery(event.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            ),
+          }}
+          sx={{ mb: 2 }}
+        />
+        <Box sx={{ flex: 1, overflowY: 'auto' }}>
+          {visible.length === 0 && (
+            <Typography color="text.secondary" sx={{ textAlign: 'center', fontStyle: 'italic', mt: 4 }}>
+              {entries.length === 0 ? 'No analyses saved yet' : 'No matching analyses'}
+            </Typography>
+          )}
+          {visible.map((entry) => {
+            const chip = STATUS_CHIPS[entry.status] || { label: entry.status, color: 'default' };
+            return (
+              <Box key={entry.id} sx={{ display: 'flex', alignItems: 'center', gap: 1.5, p: 1, mb: 1, border: '1px solid #e0e7ef', borderRadius: 1 }}>
+                <Checkbox
+                  size="small"
+                  checked={selectedIds.includes(entry.id)}
+                  onChange={() => toggleSelected(entry.id)}
+                  inputProps={{ 'aria-label': `Select ${entry.fileName} for export` }}
+                  sx={{ p: 0.5 }}
+                />
+                {thumbnailUrls[entry.id] && (
+                  <img
+                    src={thumbnailUrls[entry.id]}
+                    alt={entry.fileName}
+                    style={{ width: 56, height: 56, objectFit: 'cover', borderRadius: 6, margin: 0, flexShrink: 0 }}
+                  />
+                )}
+                <Box sx={{ flex: 1, minWidth: 0 }}>
+                  <Typography variant="body2" noWrap sx={{ fontWeight: 600, color: '#0f172a' }}>
+                    {entry.fileName}
+                  </Typography>
+                  <Typography variant="caption" sx={{ color: '#475569', display: 'block' }}>
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </Typography>
+                  {entry.age && (
+                    <Typography variant="caption" sx={{ color: '#475569', display: 'block' }}>
+                      Kids: {entry.age.kidsCount} | Adults: {entry.age.adultsCount}
+                      {entry.finalDecision ? ` — ${entry.finalDecision}` : ''}
+                    </Typography>
+                  )}
+                  <Chip label={chip.label} color={chip.color} size="small" variant="outlined" sx={{ mt: 0.5, fontWeight: 600 }} />
+                </Box>
+                <Tooltip title="Open in result cards">
+                  <IconButton size="small" onClick={() => onOpenEntry(entry)}>
+                    <OpenIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Delete">
+                  <IconButton size="small" onClick={() => onDelete(entry.id)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+            );
+          })}
+        </Box>
+        {entries.length > 0 && (
+          <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+            <ExportMenu
+              records={exportRecords}
+              label={selected.length > 0 ? `Export (${selected.length})` : 'Export'}
+              size="medium"
+              sx={{ flex: 1 }}
+            />
+            <Button
+              variant="outlined"
+              color="error"
+              startIcon={<DeleteSweepIcon />}
+              onClick={handleClear}
+              onBlur={() => setConfirmClear(false)}
+              sx={{ flex: 1 }}
+            >
+              {confirmClear ? 'Click again to delete all' : 'Clear history'}
+            </Button>
+          </Box>
+        )}
+      </Box>
+    </Drawer>
+  );
+}
+
+export default HistoryDrawer;
@@ -0,0 +1,75 @@
+import React, { useRef, useState } from 'react';
+import {
+  Button, Dialog, DialogTitle, List, ListItemButton, ListItemText,
+} from '@mui/material';
+import { FileUpload as FileUploadIcon } from '@mui/icons-material';
+import { parseResultsImport } from '../utils/exportResults';
+
+// Opens a previously exported JSON file; when it holds several results the user picks one
+function ImportResults({ onImport, onError, disabled }) {
+  const inputRef = useRef(null);
+  const [records, setRecords] = useState([]);
+
+  const handleChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parseResultsImport(await file.text());
+      if (imported.length === 1) {
+        onImport(imported[0]);
+      } else {
+        setRecords(imported);
+      }
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handlePick = (record) => {
+    setRecords([]);
+    onImport(record);
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        startIcon={<FileUploadIcon />}
+        onClick={() => inputRef.current.click()}
+        disabled={disabled}
+        sx={{ borderColor: '#e2e8f0', color: '#475569', '&:hover': { borderColor: '#1e293b', color: '#1e293b' } }}
+      >
+        Import Results
+      </Button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleChange}
+        style={{ display: 'none' }}
+      />
+      <Dialog open={records.length > 0} onClose={() => setRecords([])} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ color: '#1e293b', fontWeight: 600 }}>
+          Choose a result to view
+        </DialogTitle>
+        <List sx={{ pt: 0 }}>
+          {records.map((record, index) => (
+            <ListItemButton key={index} onClick={() => handlePick(record)}>
+              <ListItemText
+                primary={record.fileName}
+                secondary={[
+                  record.analyzedAt ? new Date(record.analyzedAt).toLocaleString() : null,
+                  record.result.finalDecision || record.result.status,
+                ].filter(Boolean).join(' — ')}
+              />
+            </ListItemButton>
+          ))}
+        </List>
+      </Dialog>
+    </>
+  );
+}
+
+export default ImportResults;
@@ -0,0 +1,80 @@
+import React from 'react';
+import {
+  Box, Typography, Card, CardContent, Chip, IconButton, Tooltip, Alert,
+} from '@mui/material';
+import {
+  Replay as ReplayIcon,
+  Close as CloseIcon,
+  CloudOff as CloudOffIcon,
+} from '@mui/icons-material';
+import { OUTBOX_STATUS } from '../hooks/useOutbox';
+
+const STATUS_CHIPS = {
+  [OUTBOX_STATUS.PENDING]: { label: 'Waiting for server', color: 'default' },
+  [OUTBOX_STATUS.SENDING]: { label: 'Sending', color: 'info' },
+  [OUTBOX_STATUS.FAILED]: { label: 'Failed', color: 'error' },
+};
+
+// Analyses stored while offline; they are sent automatically once the backend is reachable
+function OutboxPanel({
+  items, error, online, onRetry, onRemove,
+}) {
+  if (items.length === 0 && !error) return null;
+
+  return (
+    <Card sx={{ mt: 2 }}>
+      <CardContent>
+        <Typography variant="h6" sx={{ color: '#1e293b', fontWeight: 600, mb: 1, display: 'flex', alignItems: 'center', gap: 1 }}>
+          <CloudOffIcon sx={{ fontSize: 22 }} />
+          Outbox ({items.length})
+        </Typography>
+        {error && <Alert severity="warning" sx={{ mb: 1 }}>{error}</Alert>}
+        {items.length > 0 && !online && (
+          <Typography variant="body2" sx={{ color: '#475569', mb: 1 }}>
+            These analyses will be sent automatically when the server is reachable again.
+          </Typography>
+        )}
+        {items.map((item) => {
+          const chip = STATUS_CHIPS[item.status];
+          return (
+            <Box key={item.id} sx={{ display: 'flex', alignItems: 'center', gap: 2, p: 1, mb: 1, border: '1px solid #e0e7ef', borderRadius: 1 }}>
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Typography variant="body2" noWrap sx={{ fontWeight: 600, color: '#0f172a' }}>
+                  {item.fileName}
+                </Typography>
+                <Typography variant="caption" sx={{ color: '#475569', display: 'block' }}>
+                  Queued {new Date(item.createdAt).toLocaleString()}
+                  {item.attempts > 0 && ` · ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}`}
+                  {item.status === OUTBOX_STATUS.PENDING && item.nextAttemptAt > Date.now()
+                    && ` · next try ${new Date(item.nextAttemptAt).toLocaleTimeString()}`}
+                </Typography>
+                {item.error && (
+                  <Typography variant="caption" sx={{ color: item.status === OUTBOX_STATUS.FAILED ? '#dc2626' : '#475569', display: 'block' }}>
+                    {item.error}
+                  </Typography>
+                )}
+              </Box>
+              <Chip label={chip.label} color={chip.color} size="small" variant="outlined" sx={{ fontWeight: 600 }} />
+              <Tooltip title="Send now">
+                <span>
+                  <IconButton size="small" onClick={() => onRetry(item.id)} disabled={item.status === OUTBOX_STATUS.SENDING}>
+                    <ReplayIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Remove">
+                <span>
+                  <IconButton size="small" onClick={() => onRemove(item.id)} disabled={item.status === OUTBOX_STATUS.SENDING}>
+                    <CloseIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </Box>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default OutboxPanel;
@@ -0,0 +1,125 @@
+import React from 'react';
+import { Box, Typography, Card, CardContent, Chip } from '@mui/material';
+import { getFaceColor } from './FaceOverlay';
+import ConfidenceChip from './ConfidenceChip';
+
+const THUMB_SIZE = 96;
+
+// Crop of one face from the original image, drawn as a scaled background so no canvas is needed
+function FaceThumbnail({ face, imageUrl, imageSize }) {
+  const frame = {
+    width: THUMB_SIZE,
+    height: THUMB_SIZE,
+    flexShrink: 0,
+    borderRadius: 1,
+    border: `2px solid ${getFaceColor(face)}`,
+    bgcolor: '#f1f5f9',
+  };
+
+  if (!imageUrl || !imageSize || !face.box) {
+    return (
+      <Box sx={{ ...frame, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <Typography variant="h5" sx={{ color: '#475569' }}>{face.id + 1}</Typography>
+      </Box>
+    );
+  }
+
+  const [x, y, w, h] = face.box;
+  const scale = THUMB_SIZE / Math.max(w, h, 1);
+  return (
+    <Box
+      role="img"
+      aria-label={`Face ${face.id + 1}`}
+      sx={{
+        ...frame,
+        backgroundImage: `url(${imageUrl})`,
+        backgroundRepeat: 'no-repeat',
+        backgroundSize: `${imageSize.width * scale}px ${imageSize.height * scale}px`,
+        backgroundPosition: `${-x * scale + (THUMB_SIZE - w * scale) / 2}px ${-y * scale + (THUMB_SIZE - h * scale) / 2}px`,
+      }}
+    />
+  );
+}
+
+// One card per detected face linking its age estimate to the autism findings for that person
+// people come from getFaceFindings on a result whose regions went through scoreRegions;
+// hover and selection are shared with the face overlay
+function PersonBreakdown({
+  people, imageUrl, imageSize, highlightedId, onHighlight, onSelect,
+}) {
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" sx={{ color: '#1e293b', mb: 2, fontWeight: 600 }}>
+          Per-Person Breakdown
+        </Typography>
+        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr', lg: '1fr 1fr 1fr' }, gap: 2 }}>
+          {people.map(({
+            face, skipped, regions, decision,
+          }) => {
+            const isActive = face.id === highlightedId;
+            const group = face.isChild === null ? 'Unknown' : face.isChild ? 'Child' : 'Adult';
+            return (
+              <Box
+                key={face.id}
+                onMouseEnter={() => onHighlight(face.id)}
+                onMouseLeave={() => onHighlight(null)}
+                onClick={() => onSelect(face.id)}
+                sx={{
+                  border: `1px solid ${isActive ? getFaceColor(face) : '#e0e7ef'}`,
+                  bgcolor: isActive ? '#f8fafc' : 'white',
+                  borderRadius: 2,
+                  p: 1.5,
+                  cursor: 'pointer',
+                }}
+              >
+                <Box sx={{ display: 'flex', gap: 1.5, mb: 1 }}>
+                  <FaceThumbnail face={face} imageUrl={imageUrl} imageSize={imageSize} />
+                  <Box sx={{ minWidth: 0 }}>
+                    <Typography variant="subtitle2" sx={{ color: '#0f172a', fontWeight: 700 }}>
+                      Face {face.id + 1}
+                    </Typography>
+                    <Typography variant="body2" sx={{ color: '#475569', mb: 0.5 }}>
+                      Age {face.age}
+                    </Typography>
+                    <Chip
+                      label={group}
+                      size="small"
+                      sx={{ bgcolor: getFaceColor(face), color: 'white', fontWeight: 600 }}
+                    />
+                  </Box>
+                </Box>
+
+                {skipped ? (
+                  <Typography variant="body2" sx={{ color: '#475569', fontStyle: 'italic' }}>
+                    Adult — not screened for autism
+                  </Typography>
+                ) : regions.length === 0 && !decision ? (
+                  <Typography variant="body2" sx={{ color: '#475569', fontStyle: 'italic' }}>
+                    No autism findings reported for this person
+                  </Typography>
+                ) : (
+                  <>
+                    {regions.map((r, idx) => (
+                      <Box key={idx} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 0.5 }}>
+                        <Typography variant="body2"><strong>{r.region}:</strong> {r.label}</Typography>
+                        <ConfidenceChip score={r.score} level={r.level} />
+                      </Box>
+                    ))}
+                    {decision && (
+                      <Typography variant="body2" sx={{ mt: 1 }}>
+                        Decision: <strong style={{ color: '#dc2626' }}>{decision}</strong>
+                      </Typography>
+                    )}
+                  </>
+                )}
+              </Box>
+            );
+          })}
+        </Box>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default PersonBreakdown;
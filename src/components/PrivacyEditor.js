@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box, Typography, Dialog, DialogTitle, DialogContent, DialogActions, Button, ToggleButton,
+  ToggleButtonGroup, CircularProgress,
+} from '@mui/material';
+import {
+  Crop as CropIcon,
+  BlurOn as BlurIcon,
+  Undo as UndoIcon,
+} from '@mui/icons-material';
+import { editImage } from '../utils/image';
+import { createLogger } from '../utils/logger';
+import config from '../config';
+
+const log = createLogger('privacy-editor');
+
+const MIN_RECT = 0.02; // fraction of the image; smaller drags are treated as clicks
+
+const clamp = value => Math.min(Math.max(value, 0), 1);
+
+// Pointer position as fractions of the element it is over
+const toFraction = (event) => {
+  const bounds = event.currentTarget.getBoundingClientRect();
+  return {
+    x: clamp((event.clientX - bounds.left) / bounds.width),
+    y: clamp((event.clientY - bounds.top) / bounds.height),
+  };
+};
+
+const toRect = (start, end) => ({
+  x: Math.min(start.x, end.x),
+  y: Math.min(start.y, end.y),
+  width: Math.abs(end.x - start.x),
+  height: Math.abs(end.y - start.y),
+});
+
+const rectStyle = rect => ({
+  position: 'absolute',
+  left: `${rect.x * 100}%`,
+  top: `${rect.y * 100}%`,
+  width: `${rect.width * 100}%`,
+  height: `${rect.height * 100}%`,
+  pointerEvents: 'none',
+});
+
+// Crop the photo down to the subject and blur anyone else before it is analyzed
+// Drag on the image to draw the crop area or a region to blur; onApply receives the edited JPEG
+function PrivacyEditor({
+  open, file, previewUrl, onClose, onApply, onError,
+}) {
+  const [tool, setTool] = useState('crop');
+  const [crop, setCrop] = useState(null);
+  const [blurRegions, setBlurRegions] = useState([]);
+  const [drag, setDrag] = useState(null); // { start, end } while drawing
+  const [applying, setApplying] = useState(false);
+
+  // Start from a clean slate for every image
+  useEffect(() => {
+    setCrop(null);
+    setBlurRegions([]);
+    setDrag(null);
+  }, [previewUrl]);
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = toFraction(event);
+    setDrag({ start: point, end: point });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag) return;
+    setDrag({ ...drag, end: toFraction(event) });
+  };
+
+  const handlePointerUp = () => {
+    if (!drag) return;
+    const rect = toRect(drag.start, drag.end);
+    setDrag(null);
+    if (rect.width < MIN_RECT || rect.height < MIN_RECT) return;
+    if (tool === 'crop') setCrop(rect);
+    else setBlurRegions(prev => [...prev, rect]);
+  };
+
+  const handleUndo = () => {
+    if (tool === 'crop') setCrop(null);
+    else setBlurRegions(prev => prev.slice(0, -1));
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    try {
+      onApply(await editImage(file, { crop, blurRegions }));
+    } catch (error) {
+      log.error('Image edit failed', error);
+      onError(config.ERRORS.EDIT_ERROR);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const draft = drag ? toRect(drag.start, drag.end) : null;
+  const canUndo = tool === 'crop' ? Boolean(crop) : blurRegions.length > 0;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ color: '#1e293b', fontWeight: 600 }}>Crop and blur</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+          <ToggleButtonGroup size="small" exclusive value={tool} onChange={(event, value) => value && setTool(value)}>
+            <ToggleButton value="crop"><CropIcon fontSize="small" sx={{ mr: 0.5 }} />Crop</ToggleButton>
+            <ToggleButton value="blur"><BlurIcon fontSize="small" sx={{ mr: 0.5 }} />Blur</ToggleButton>
+          </ToggleButtonGroup>
+          <Button size="small" startIcon={<UndoIcon />} onClick={handleUndo} disabled={!canUndo} sx={{ color: '#475569' }}>
+            {tool === 'crop' ? 'Remove crop' : 'Undo blur'}
+          </Button>
+          <Typography variant="caption" sx={{ color: '#475569', flex: 1 }}>
+            {tool === 'crop'
+              ? 'Drag around the child to keep only that area.'
+              : 'Drag over other people or identifying details to blur them.'}
+          </Typography>
+        </Box>
+
+        {previewUrl && (
+          <Box sx={{ textAlign: 'center' }}>
+            <Box
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              sx={{
+                position: 'relative', display: 'inline-block', lineHeight: 0, cursor: 'crosshair', touchAction: 'none', overflow: 'hidden',
+              }}
+            >
+              <img
+                src={previewUrl}
+                alt="To edit"
+                draggable={false}
+                style={{ maxWidth: '100%', maxHeight: '60vh', margin: 0, userSelect: 'none' }}
+              />
+              {blurRegions.map((rect, idx) => (
+                <Box key={idx} sx={{ ...rectStyle(rect), backdropFilter: 'blur(8px)', border: '1px solid #dc2626' }} />
+              ))}
+              {crop && (
+                <Box sx={{ ...rectStyle(crop), border: '2px dashed white', boxShadow: '0 0 0 9999px rgba(15, 23, 42, 0.55)' }} />
+              )}
+              {draft && (
+                <Box sx={{ ...rectStyle(draft), border: `2px dashed ${tool === 'crop' ? 'white' : '#dc2626'}` }} />
+              )}
+            </Box>
+          </Box>
+        )}
+        <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 2 }}>
+          Editing happens in this browser. The edited photo is saved without any metadata.
+        </Typography>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} sx={{ color: '#475569' }}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleApply}
+          disabled={applying || (!crop && blurRegions.length === 0)}
+          startIcon={applying ? <CircularProgress size={16} color="inherit" /> : null}
+          sx={{ bgcolor: '#1e293b', '&:hover': { bgcolor: '#0f172a' } }}
+        >
+          Apply
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default PrivacyEditor;
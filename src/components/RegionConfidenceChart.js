@@ -0,0 +1,59 @@
+import React from 'react';
+import { Box, Typography, Tooltip } from '@mui/material';
+import { findDecisiveRegion, formatConfidence, getConfidenceColor } from '../utils/confidence';
+import { getRegionName } from '../utils/response';
+import config from '../config';
+
+// Horizontal bars comparing region confidences on one 0–100% axis, with the configured
+// thresholds marked and the region that drove the final decision highlighted
+function RegionConfidenceChart({ regions, finalDecision }) {
+  const scored = regions.filter(r => r.score !== null);
+  if (scored.length === 0) return null;
+
+  const decisive = findDecisiveRegion(scored, finalDecision);
+  const { HIGH, MEDIUM } = config.RESULTS.CONFIDENCE_THRESHOLDS;
+
+  return (
+    <Box>
+      {scored.map((r, idx) => {
+        const isDecisive = r === decisive;
+        return (
+          <Box key={idx} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.75 }}>
+            <Typography variant="caption" noWrap sx={{ minWidth: 56, maxWidth: 120, flexShrink: 0, textAlign: 'left', fontWeight: isDecisive ? 700 : 400, color: '#0f172a' }}>
+              {getRegionName(r)}
+            </Typography>
+            <Tooltip title={`${r.label} — ${formatConfidence(r.score)}`}>
+              <Box sx={{ position: 'relative', flex: 1, height: 14, bgcolor: '#f1f5f9', borderRadius: 1, overflow: 'hidden' }}>
+                <Box
+                  sx={{
+                    width: `${r.score * 100}%`,
+                    height: '100%',
+                    bgcolor: `${getConfidenceColor(r.level)}.main`,
+                    opacity: isDecisive ? 1 : 0.55,
+                    transition: 'width 0.3s ease',
+                  }}
+                />
+                {[MEDIUM, HIGH].map(threshold => (
+                  <Box
+                    key={threshold}
+                    sx={{ position: 'absolute', top: 0, bottom: 0, left: `${threshold * 100}%`, borderLeft: '1px dashed #475569' }}
+                  />
+                ))}
+              </Box>
+            </Tooltip>
+            <Typography variant="caption" sx={{ width: 44, flexShrink: 0, textAlign: 'right', color: '#475569' }}>
+              {formatConfidence(r.score)}
+            </Typography>
+          </Box>
+        );
+      })}
+      {decisive && (
+        <Typography variant="caption" sx={{ color: '#475569', display: 'block', textAlign: 'left' }}>
+          Strongest signal: <strong>{getRegionName(decisive)}</strong> ({decisive.label})
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
+export default RegionConfidenceChart;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import {
+  Box, Typography, Dialog, DialogContent, DialogActions, Button, Table, TableBody, TableCell,
+  TableHead, TableRow, CircularProgress,
+} from '@mui/material';
+import {
+  Print as PrintIcon,
+  PictureAsPdf as PdfIcon,
+} from '@mui/icons-material';
+import { downloadReportPdf } from '../utils/report';
+import { formatConfidence } from '../utils/confidence';
+import { getRegionName } from '../utils/response';
+import { createLogger } from '../utils/logger';
+import RegionConfidenceChart from './RegionConfidenceChart';
+import config from '../config';
+import './ScreeningReport.css';
+
+const log = createLogger('report');
+
+const imageStyle = {
+  width: '100%',
+  maxHeight: 260,
+  objectFit: 'contain',
+  borderRadius: 8,
+  border: '1px solid #e0e7ef',
+  margin: 0,
+};
+
+// Print-ready screening report with print and PDF download actions
+function ScreeningReport({ open, onClose, report, onError }) {
+  const [downloading, setDownloading] = useState(false);
+
+  if (!report) return null;
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      await downloadReportPdf(report);
+    } catch (err) {
+      log.error('PDF report failed', err);
+      if (onError) onError(config.ERRORS.REPORT_ERROR);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const { age } = report;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth className="screening-report-dialog">
+      <DialogContent>
+        <Box className="screening-report">
+          <Box sx={{ borderBottom: '2px solid #1e293b', pb: 1, mb: 2 }}>
+            <Typography variant="h5" sx={{ color: '#1e293b', fontWeight: 700 }}>
+              {report.title}
+            </Typography>
+            {report.organization && (
+              <Typography variant="subtitle2" sx={{ color: '#475569' }}>{report.organization}</Typography>
+            )}
+            <Typography variant="caption" sx={{ color: '#475569', display: 'block' }}>
+              Generated: {report.generatedAt.toLocaleString()} | Image: {report.fileName}
+            </Typography>
+            <Typography variant="caption" sx={{ color: '#475569', display: 'block' }}>
+              Backend: {report.backendUrl} (version {report.backendVersion})
+            </Typography>
+          </Box>
+
+          <Box className="report-images" sx={{ display: 'flex', gap: 2, mb: 2 }}>
+            {[
+              { caption: 'Original image', url: report.originalImageUrl },
+              { caption: 'Annotated result', url: report.annotatedImageUrl },
+            ].map(({ caption, url }) => (
+              <Box key={caption} sx={{ flex: 1, minWidth: 0 }}>
+                <Typography variant="caption" sx={{ color: '#475569' }}>{caption}</Typography>
+                {url
+                  ? <img src={url} alt={caption} style={imageStyle} />
+                  : <Typography color="text.secondary" sx={{ fontStyle: 'italic' }}>Image unavailable</Typography>}
+              </Box>
+            ))}
+          </Box>
+
+          {age && (
+            <Box sx={{ mb: 2 }}>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>Age Detection</Typography>
+              <Typography variant="body2">
+                Faces detected: {age.kidsCount + age.adultsCount} (kids: {age.kidsCount}, adults: {age.adultsCount})
+              </Typography>
+              {age.faces.map(face => (
+                <Typography key={face.id} variant="body2" sx={{ color: '#475569' }}>
+                  Face {face.id + 1}: age {face.age}
+                  {face.isChild !== null && ` (${face.isChild ? 'child' : 'adult'})`}
+                </Typography>
+              ))}
+            </Box>
+          )}
+
+          {report.regions.length > 0 && (
+            <Box sx={{ mb: 2 }}>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>Regional Analysis</Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 600 }}>Region</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Prediction</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }} align="right">Confidence</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.regions.map((r, idx) => (
+                    <TableRow key={idx}>
+                      <TableCell>{getRegionName(r)}</TableCell>
+                      <TableCell>{r.label}</TableCell>
+                      <TableCell align="right">{formatConfidence(r.score)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+              <Box sx={{ mt: 1.5 }}>
+                <RegionConfidenceChart regions={report.regions} finalDecision={report.finalDecision} />
+              </Box>
+            </Box>
+          )}
+
+          {report.finalDecision && (
+            <Box sx={{ bgcolor: '#fef2f2', border: '1px solid #fecaca', borderRadius: 2, p: 2, mb: 2, textAlign: 'center' }}>
+              <Typography variant="subtitle1">Final AI Decision</Typography>
+              <Typography variant="body1" sx={{ color: '#dc2626', fontWeight: 700 }}>
+                {report.finalDecision}
+              </Typography>
+            </Box>
+          )}
+
+          {report.disclaimer && (
+            <Typography variant="caption" component="p" sx={{ color: '#475569', borderTop: '1px solid #e2e8f0', pt: 1 }}>
+              <strong>Disclaimer:</strong> {report.disclaimer}
+            </Typography>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions className="report-actions">
+        <Button onClick={onClose} sx={{ color: '#475569' }}>
+          Close
+        </Button>
+        <Button variant="outlined" startIcon={<PrintIcon />} onClick={() => window.print()} sx={{ borderColor: '#e2e8f0', color: '#475569' }}>
+          Print
+        </Button>
+        <Button
+          variant="contained"
+          startIcon={downloading ? <CircularProgress size={16} color="inherit" /> : <PdfIcon />}
+          onClick={handleDownload}
+          disabled={downloading}
+          sx={{ bgcolor: '#1e293b', '&:hover': { bgcolor: '#0f172a' } }}
+        >
+          Download PDF
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ScreeningReport;
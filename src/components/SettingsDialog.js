@@ -0,0 +1,207 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box, Typography, Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField, MenuItem,
+  Alert, CircularProgress, Divider,
+} from '@mui/material';
+import { NetworkCheck as NetworkCheckIcon, GppBad as WithdrawIcon } from '@mui/icons-material';
+import { checkApiHealth } from '../utils/api';
+import { DEFAULT_PROFILE_ID, validateSettings } from '../utils/settings';
+import config from '../config';
+
+const TEXT_FIELDS = [
+  { name: 'apiBaseUrl', label: 'API base URL', full: true },
+  { name: 'analyzeEndpoint', label: 'Analyze endpoint' },
+  { name: 'healthEndpoint', label: 'Health endpoint' },
+];
+
+const NUMBER_FIELDS = [
+  { name: 'requestTimeoutSeconds', label: 'Request timeout (s)' },
+  { name: 'healthTimeoutSeconds', label: 'Health check timeout (s)' },
+  { name: 'maxFileSizeMb', label: 'Max upload size (MB)' },
+  { name: 'maxBatchSize', label: 'Max batch size' },
+  { name: 'confidenceHigh', label: 'High confidence from (%)' },
+  { name: 'confidenceMedium', label: 'Medium confidence from (%)' },
+];
+
+// Form values are strings while editing; numbers are parsed before validation
+const toForm = settings => Object.fromEntries(Object.entries(settings).map(([key, value]) => [key, String(value)]));
+
+const fromForm = form => ({
+  ...form,
+  ...Object.fromEntries(NUMBER_FIELDS.map(({ name }) => [name, form[name].trim() === '' ? NaN : Number(form[name])])),
+});
+
+// Edit, test and switch backend settings profiles at runtime
+// The privacy section lets a user who accepted the consent statement take it back
+function SettingsDialog({
+  open, onClose, profiles, activeProfile, onSwitch, onSave, onCreate, onDelete, consentGiven, onWithdrawConsent,
+}) {
+  const [name, setName] = useState(activeProfile.name);
+  const [form, setForm] = useState(toForm(activeProfile.settings));
+  const [connection, setConnection] = useState(null); // { testing } or { ok, ms, url }
+  const [confirmWithdraw, setConfirmWithdraw] = useState(false);
+
+  const settings = fromForm(form);
+  const errors = validateSettings(settings);
+  const isValid = Object.keys(errors).length === 0;
+  const isDefault = activeProfile.id === DEFAULT_PROFILE_ID;
+
+  // Load the active profile into the form whenever the dialog opens or the active profile changes
+  useEffect(() => {
+    if (!open) return;
+    setName(activeProfile.name);
+    setForm(toForm(activeProfile.settings));
+    setConnection(null);
+    setConfirmWithdraw(false);
+  }, [open, activeProfile]);
+
+  const handleChange = (event) => {
+    setForm(prev => ({ ...prev, [event.target.name]: event.target.value }));
+    setConnection(null);
+  };
+
+  const handleTestConnection = async () => {
+    setConnection({ testing: true });
+    const startedAt = Date.now();
+    const ok = await checkApiHealth({
+      baseUrl: settings.apiBaseUrl,
+      endpoint: settings.healthEndpoint,
+      timeout: settings.healthTimeoutSeconds * 1000,
+    });
+    setConnection({ ok, ms: Date.now() - startedAt, url: `${settings.apiBaseUrl.replace(/\/+$/, '')}${settings.healthEndpoint}` });
+  };
+
+  // Withdrawing deletes data, so it takes a second click
+  const handleWithdrawConsent = () => {
+    if (!confirmWithdraw) {
+      setConfirmWithdraw(true);
+      return;
+    }
+    setConfirmWithdraw(false);
+    onWithdrawConsent();
+  };
+
+  const handleSaveAsNew = () => {
+    const existing = profiles.map(p => p.name);
+    let newName = name.trim() && !existing.includes(name.trim()) ? name.trim() : `Profile ${profiles.length}`;
+    while (existing.includes(newName)) newName = `${newName} (copy)`;
+    onCreate(newName, settings);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ color: '#1e293b', fontWeight: 600 }}>Settings</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', gap: 2, mt: 1, mb: 2 }}>
+          <TextField select size="small" label="Profile" value={activeProfile.id} onChange={event => onSwitch(event.target.value)} sx={{ flex: 1 }}>
+            {profiles.map(p => <MenuItem key={p.id} value={p.id}>{p.name}</MenuItem>)}
+          </TextField>
+          <TextField
+            size="small"
+            label="Profile name"
+            value={name}
+            onChange={event => setName(event.target.value)}
+            disabled={isDefault}
+            helperText={isDefault ? 'Save as a new profile to change' : ' '}
+            sx={{ flex: 1 }}
+          />
+        </Box>
+        <Divider sx={{ mb: 2 }} />
+        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 2 }}>
+          {TEXT_FIELDS.map(field => (
+            <TextField
+              key={field.name}
+              size="small"
+              name={field.name}
+              label={field.label}
+              value={form[field.name]}
+              onChange={handleChange}
+              error={Boolean(errors[field.name])}
+              helperText={errors[field.name] || ' '}
+              sx={field.full ? { gridColumn: '1 / -1' } : undefined}
+            />
+          ))}
+          {NUMBER_FIELDS.map(field => (
+            <TextField
+              key={field.name}
+              size="small"
+              type="number"
+              name={field.name}
+              label={field.label}
+              value={form[field.name]}
+              onChange={handleChange}
+              error={Boolean(errors[field.name])}
+              helperText={errors[field.name] || ' '}
+            />
+          ))}
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+          <Button
+            variant="outlined"
+            startIcon={connection && connection.testing ? <CircularProgress size={16} /> : <NetworkCheckIcon />}
+            onClick={handleTestConnection}
+            disabled={Boolean(errors.apiBaseUrl || errors.healthEndpoint || errors.healthTimeoutSeconds)
+              || Boolean(connection && connection.testing)}
+            sx={{ borderColor: '#e2e8f0', color: '#475569' }}
+          >
+            Test connection
+          </Button>
+          {connection && !connection.testing && (
+            <Alert severity={connection.ok ? 'success' : 'error'} sx={{ flex: 1, py: 0 }}>
+              {connection.ok
+                ? `Connected in ${connection.ms} ms`
+                : `No healthy response from ${connection.url}`}
+            </Alert>
+          )}
+        </Box>
+        <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 2 }}>
+          Settings are stored in this browser and apply immediately, without reloading.
+        </Typography>
+        {config.PRIVACY.CONSENT_REQUIRED && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" sx={{ color: '#1e293b', fontWeight: 600 }}>Privacy</Typography>
+            <Typography variant="body2" sx={{ color: '#475569', mt: 0.5, mb: 1.5 }}>
+              {consentGiven
+                ? 'Withdrawing consent deletes the local analysis history, the outbox and the images in memory. You will be asked for consent again before the next analysis.'
+                : 'Consent has not been given in this browser.'}
+            </Typography>
+            <Button
+              variant="outlined"
+              color="error"
+              startIcon={<WithdrawIcon />}
+              onClick={handleWithdrawConsent}
+              onBlur={() => setConfirmWithdraw(false)}
+              disabled={!consentGiven}
+            >
+              {confirmWithdraw ? 'Click again to withdraw consent' : 'Withdraw consent'}
+            </Button>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {!isDefault && (
+          <Button color="error" onClick={() => onDelete(activeProfile.id)} sx={{ mr: 'auto' }}>
+            Delete profile
+          </Button>
+        )}
+        <Button onClick={onClose} sx={{ color: '#475569' }}>Close</Button>
+        <Button variant="outlined" onClick={handleSaveAsNew} disabled={!isValid} sx={{ borderColor: '#e2e8f0', color: '#475569' }}>
+          Save as new profile
+        </Button>
+        {!isDefault && (
+          <Button
+            variant="contained"
+            onClick={() => onSave(activeProfile.id, name.trim() || activeProfile.name, settings)}
+            disabled={!isValid}
+            sx={{ bgcolor: '#1e293b', '&:hover': { bgcolor: '#0f172a' } }}
+          >
+            Save
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SettingsDialog;
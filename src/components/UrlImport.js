@@ -0,0 +1,74 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Box, TextField, Button, Alert, CircularProgress,
+} from '@mui/material';
+import { Link as LinkIcon } from '@mui/icons-material';
+import { fetchImageFromUrl } from '../utils/api';
+import { isCancelledError } from '../utils/errors';
+
+// Import an image from a link; the downloaded file is passed to onFile like a browsed one
+function UrlImport({ onFile, disabled = false }) {
+  const [url, setUrl] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Abandon a download still running when the field goes away
+  useEffect(() => () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!url.trim() || loading) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setLoading(true);
+    setError(null);
+    try {
+      const file = await fetchImageFromUrl(url, { signal: controller.signal });
+      setUrl('');
+      onFile(file);
+    } catch (err) {
+      if (!isCancelledError(err)) setError(err.message);
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+      if (!controller.signal.aborted) setLoading(false);
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} sx={{ mt: 2 }}>
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <TextField
+          size="small"
+          fullWidth
+          type="url"
+          placeholder="Or paste an image link: https://…/photo.jpg"
+          value={url}
+          onChange={(event) => {
+            setUrl(event.target.value);
+            setError(null);
+          }}
+          disabled={disabled || loading}
+          inputProps={{ 'aria-label': 'Image URL' }}
+        />
+        <Button
+          type="submit"
+          variant="outlined"
+          disabled={disabled || loading || !url.trim()}
+          startIcon={loading ? <CircularProgress size={16} color="inherit" /> : <LinkIcon />}
+          sx={{
+            flexShrink: 0, borderColor: '#e2e8f0', color: '#475569', '&:hover': { borderColor: '#1e293b', color: '#1e293b' },
+          }}
+        >
+          Import
+        </Button>
+      </Box>
+      {error && <Alert severity="error" sx={{ mt: 1, textAlign: 'left' }}>{error}</Alert>}
+    </Box>
+  );
+}
+
+export default UrlImport;
@@ -0,0 +1,379 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Box, Typography, Button, TextField, MenuItem, IconButton, Tooltip, ToggleButton, Alert, Chip,
+  CircularProgress,
+} from '@mui/material';
+import {
+  CameraAlt as CameraIcon,
+  Cameraswitch as CameraswitchIcon,
+  Flip as FlipIcon,
+  CenterFocusStrong as GuideIcon,
+  BurstMode as BurstModeIcon,
+} from '@mui/icons-material';
+import Webcam from 'react-webcam';
+import useCameraDevices from '../hooks/useCameraDevices';
+import { findBestFrame, measureFrame, scoreFrames } from '../utils/frameQuality';
+import config from '../config';
+
+// User-facing message for a getUserMedia failure
+// react-webcam passes a DOMException, or a plain string when getUserMedia is missing
+const describeCameraError = (error) => {
+  const name = error && error.name;
+  if (typeof error === 'string') return config.ERRORS.CAMERA_UNSUPPORTED;
+  if (name === 'NotAllowedError' || name === 'SecurityError') return config.ERRORS.CAMERA_PERMISSION_DENIED;
+  if (name === 'NotFoundError' || name === 'OverconstrainedError') return config.ERRORS.CAMERA_NOT_FOUND;
+  if (name === 'NotReadableError' || name === 'AbortError') return config.ERRORS.CAMERA_IN_USE;
+  return config.ERRORS.CAMERA_ERROR;
+};
+
+const dataUrlToFile = async (dataUrl, name) => {
+  const blob = await (await fetch(dataUrl)).blob();
+  return new File([blob], name, { type: 'image/jpeg', lastModified: Date.now() });
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Thumbnails of a burst; the best-scoring frame is marked and the chosen one outlined
+function BurstFrames({
+  frames, best, selected, onSelect, disabled,
+}) {
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="caption" sx={{ color: '#475569', display: 'block', mb: 0.5, textAlign: 'left' }}>
+        Burst of {frames.length} frames. The sharpest, best-exposed frame is selected; click another to use it instead.
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, overflowX: 'auto', pb: 0.5 }}>
+        {frames.map((frame, idx) => (
+          <Tooltip key={idx} title={`Frame ${idx + 1} · quality ${Math.round(frame.score * 100)}%`}>
+            <Box
+              component="button"
+              type="button"
+              onClick={() => onSelect(idx)}
+              disabled={disabled}
+              sx={{
+                position: 'relative',
+                flexShrink: 0,
+                p: 0,
+                lineHeight: 0,
+                bgcolor: 'transparent',
+                border: `2px solid ${idx === selected ? '#1e293b' : '#e0e7ef'}`,
+                borderRadius: 1,
+                cursor: disabled ? 'default' : 'pointer',
+              }}
+            >
+              <img
+                src={frame.url}
+                alt={`Burst frame ${idx + 1}`}
+                style={{ width: 72, height: 54, objectFit: 'cover', borderRadius: 2, margin: 0 }}
+              />
+              {idx === best && (
+                <Chip label="Best" size="small" color="success" sx={{ position: 'absolute', top: 2, left: 2, height: 16, fontSize: 10 }} />
+              )}
+            </Box>
+          </Tooltip>
+        ))}
+      </Box>
+    </Box>
+  );
+}
+
+// Webcam preview with camera and resolution selection, a face-framing guide, preview mirroring,
+// a countdown before the shot and an optional burst mode that picks the best of several frames
+// onCapture(file, { burstId }) receives the photo as a JPEG File, again whenever another frame of
+// the same burst is chosen; burstId is null for single photos
+function WebcamCapture({ onCapture, onError, disabled = false }) {
+  const webcamRef = useRef(null);
+  const { devices, refresh } = useCameraDevices();
+  const [deviceId, setDeviceId] = useState(''); // '' follows facingMode instead of a specific camera
+  const [facingMode, setFacingMode] = useState(config.WEBCAM.DEFAULT_FACING_MODE);
+  const [resolutionId, setResolutionId] = useState(config.WEBCAM.DEFAULT_RESOLUTION);
+  const [mirrored, setMirrored] = useState(config.WEBCAM.MIRRORED);
+  const [showGuide, setShowGuide] = useState(true);
+  const [countdown, setCountdown] = useState(config.WEBCAM.DEFAULT_COUNTDOWN);
+  const [remaining, setRemaining] = useState(null); // seconds left while counting down
+  const [ready, setReady] = useState(false);
+  const [cameraError, setCameraError] = useState(null);
+  const [attempt, setAttempt] = useState(0); // remounts the Webcam to ask for the camera again
+  const [burstMode, setBurstMode] = useState(false);
+  const [capturingBurst, setCapturingBurst] = useState(false);
+  const [burst, setBurst] = useState(null); // { id, frames, best, selected }
+
+  const resolution = config.WEBCAM.RESOLUTIONS.find(r => r.id === resolutionId) || config.WEBCAM.RESOLUTIONS[0];
+  const videoConstraints = {
+    width: { ideal: resolution.width },
+    height: { ideal: resolution.height },
+    ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode }),
+  };
+
+  // Changing a constraint restarts the stream, so wait for it again
+  const restart = () => {
+    setReady(false);
+    setCameraError(null);
+    setRemaining(null);
+  };
+
+  const captureSingle = async () => {
+    const screenshot = webcamRef.current && webcamRef.current.getScreenshot();
+    if (!screenshot) {
+      onError(config.ERRORS.CAMERA_NOT_READY);
+      return;
+    }
+    try {
+      onCapture(await dataUrlToFile(screenshot, `webcam-capture-${Date.now()}.jpg`), { burstId: null });
+    } catch (error) {
+      onError(config.ERRORS.CAMERA_ERROR);
+    }
+  };
+
+  const selectBurstFrame = async ({ id, frames }, idx) => {
+    setBurst(prev => ({ ...prev, selected: idx }));
+    try {
+      onCapture(await dataUrlToFile(frames[idx].url, `webcam-burst-${Date.now()}-${idx + 1}.jpg`), { burstId: id });
+    } catch (error) {
+      onError(config.ERRORS.CAMERA_ERROR);
+    }
+  };
+
+  // Grab BURST_FRAMES frames, score each locally and hand over the best one
+  const captureBurst = async () => {
+    const frames = [];
+    setCapturingBurst(true);
+    try {
+      for (let i = 0; i < config.WEBCAM.BURST_FRAMES; i++) {
+        if (i > 0) await sleep(config.WEBCAM.BURST_INTERVAL);
+        // getCanvas draws the current video frame into the webcam's (reused) canvas
+        const canvas = webcamRef.current && webcamRef.current.getCanvas();
+        if (!canvas) break;
+        frames.push({ url: canvas.toDataURL('image/jpeg', config.WEBCAM.JPEG_QUALITY), ...measureFrame(canvas) });
+      }
+    } catch (error) {
+      onError(config.ERRORS.CAMERA_ERROR);
+      return;
+    } finally {
+      setCapturingBurst(false);
+    }
+
+    if (frames.length === 0) {
+      onError(config.ERRORS.CAMERA_NOT_READY);
+      return;
+    }
+    const scored = scoreFrames(frames);
+    const best = findBestFrame(scored);
+    const next = {
+      id: Date.now(), frames: scored, best, selected: best,
+    };
+    setBurst(next);
+    selectBurstFrame(next, best);
+  };
+
+  const capture = () => {
+    if (!ready) {
+      onError(config.ERRORS.CAMERA_NOT_READY);
+    } else if (burstMode) {
+      captureBurst();
+    } else {
+      captureSingle();
+    }
+  };
+  const captureRef = useRef(capture);
+  captureRef.current = capture;
+
+  // One tick per second; the photo is taken when the countdown reaches zero
+  useEffect(() => {
+    if (remaining === null) return undefined;
+    if (remaining === 0) {
+      setRemaining(null);
+      captureRef.current();
+      return undefined;
+    }
+    const timer = setTimeout(() => setRemaining(remaining - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [remaining]);
+
+  const handleCaptureClick = () => {
+    if (remaining !== null) {
+      setRemaining(null);
+    } else if (countdown > 0) {
+      setRemaining(countdown);
+    } else {
+      capture();
+    }
+  };
+
+  const handleSwitchCamera = () => {
+    restart();
+    setDeviceId('');
+    setFacingMode(prev => (prev === 'user' ? 'environment' : 'user'));
+  };
+
+  const handleRetry = () => {
+    restart();
+    setAttempt(prev => prev + 1);
+  };
+
+  return (
+    <Box sx={{ width: '100%' }}>
+      <Box sx={{ border: '1px solid #f1f5f9', borderRadius: 3, p: 2, bgcolor: '#fafafa' }}>
+        {cameraError ? (
+          <Alert
+            severity="error"
+            action={<Button color="inherit" size="small" onClick={handleRetry}>Try again</Button>}
+            sx={{ textAlign: 'left' }}
+          >
+            {cameraError}
+          </Alert>
+        ) : (
+          <Box sx={{ position: 'relative', overflow: 'hidden', borderRadius: 2, lineHeight: 0, bgcolor: '#0f172a' }}>
+            {/* Remounted per resolution too: react-webcam sizes its capture canvas only once */}
+            <Webcam
+              key={`${attempt}-${resolution.id}`}
+              audio={false}
+              ref={webcamRef}
+              screenshotFormat="image/jpeg"
+              screenshotQuality={config.WEBCAM.JPEG_QUALITY}
+              forceScreenshotSourceSize
+              videoConstraints={videoConstraints}
+              onUserMedia={() => {
+                setReady(true);
+                refresh();
+              }}
+              onUserMediaError={error => setCameraError(describeCameraError(error))}
+              // Mirrored with CSS rather than the mirrored prop, which would flip the capture too
+              style={{ width: '100%', height: 'auto', transform: mirrored ? 'scaleX(-1)' : 'none' }}
+            />
+            {showGuide && ready && (
+              <Box
+                sx={{
+                  position: 'absolute',
+                  top: '12%',
+                  left: '50%',
+                  height: '76%',
+                  aspectRatio: '3 / 4',
+                  transform: 'translateX(-50%)',
+                  border: '2px dashed rgba(255, 255, 255, 0.9)',
+                  borderRadius: '50%',
+                  boxShadow: '0 0 0 9999px rgba(15, 23, 42, 0.35)',
+                  pointerEvents: 'none',
+                }}
+              />
+            )}
+            {remaining !== null && (
+              <Typography
+                sx={{
+                  position: 'absolute',
+                  inset: 0,
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  color: 'white',
+                  fontSize: 72,
+                  fontWeight: 700,
+                  textShadow: '0 2px 8px rgba(0, 0, 0, 0.6)',
+                  pointerEvents: 'none',
+                }}
+              >
+                {remaining}
+              </Typography>
+            )}
+            {!ready && (
+              <Typography variant="body2" sx={{ color: '#e2e8f0', position: 'absolute', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                Starting camera...
+              </Typography>
+            )}
+          </Box>
+        )}
+        {showGuide && ready && !cameraError && (
+          <Typography variant="caption" sx={{ color: '#475569', display: 'block', mt: 1 }}>
+            Center the face inside the oval, facing the camera in even light.
+          </Typography>
+        )}
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2, alignItems: 'center' }}>
+          {devices.length > 1 && (
+            <TextField
+              select
+              size="small"
+              label="Camera"
+              value={deviceId}
+              onChange={(event) => {
+                restart();
+                setDeviceId(event.target.value);
+              }}
+              sx={{ flex: '1 1 160px' }}
+            >
+              <MenuItem value="">{facingMode === 'user' ? 'Front camera' : 'Back camera'}</MenuItem>
+              {devices.map(device => <MenuItem key={device.deviceId} value={device.deviceId}>{device.label}</MenuItem>)}
+            </TextField>
+          )}
+          <TextField
+            select
+            size="small"
+            label="Resolution"
+            value={resolution.id}
+            onChange={(event) => {
+              restart();
+              setResolutionId(event.target.value);
+            }}
+            sx={{ flex: '1 1 120px' }}
+          >
+            {config.WEBCAM.RESOLUTIONS.map(r => <MenuItem key={r.id} value={r.id}>{r.label}</MenuItem>)}
+          </TextField>
+          <TextField
+            select
+            size="small"
+            label="Timer"
+            value={countdown}
+            onChange={event => setCountdown(Number(event.target.value))}
+            sx={{ flex: '1 1 90px' }}
+          >
+            {config.WEBCAM.COUNTDOWN_OPTIONS.map(seconds => (
+              <MenuItem key={seconds} value={seconds}>{seconds === 0 ? 'Off' : `${seconds} s`}</MenuItem>
+            ))}
+          </TextField>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, mt: 1, justifyContent: 'center' }}>
+          <Tooltip title="Switch front/back camera">
+            <IconButton onClick={handleSwitchCamera} size="small">
+              <CameraswitchIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title={mirrored ? 'Stop mirroring preview' : 'Mirror preview'}>
+            <ToggleButton value="mirror" size="small" selected={mirrored} onChange={() => setMirrored(prev => !prev)} sx={{ border: 0 }}>
+              <FlipIcon fontSize="small" />
+            </ToggleButton>
+          </Tooltip>
+          <Tooltip title={showGuide ? 'Hide framing guide' : 'Show framing guide'}>
+            <ToggleButton value="guide" size="small" selected={showGuide} onChange={() => setShowGuide(prev => !prev)} sx={{ border: 0 }}>
+              <GuideIcon fontSize="small" />
+            </ToggleButton>
+          </Tooltip>
+          <Tooltip title={burstMode ? 'Single photo' : `Burst: ${config.WEBCAM.BURST_FRAMES} frames, best one picked`}>
+            <ToggleButton value="burst" size="small" selected={burstMode} onChange={() => setBurstMode(prev => !prev)} sx={{ border: 0 }}>
+              <BurstModeIcon fontSize="small" />
+            </ToggleButton>
+          </Tooltip>
+        </Box>
+        {burst && (
+          <BurstFrames
+            frames={burst.frames}
+            best={burst.best}
+            selected={burst.selected}
+            onSelect={idx => selectBurstFrame(burst, idx)}
+            disabled={disabled}
+          />
+        )}
+      </Box>
+      <Button
+        onClick={handleCaptureClick}
+        variant="contained"
+        startIcon={capturingBurst ? <CircularProgress size={16} color="inherit" /> : burstMode ? <BurstModeIcon /> : <CameraIcon />}
+        disabled={disabled || !ready || Boolean(cameraError) || capturingBurst}
+        sx={{ mt: 2, bgcolor: '#1e293b', '&:hover': { bgcolor: '#0f172a' } }}
+      >
+        {remaining !== null ? 'Cancel countdown' : capturingBurst ? 'Capturing...' : burstMode ? 'Capture Burst' : 'Capture Photo'}
+      </Button>
+    </Box>
+  );
+}
+
+export default WebcamCapture;
@@ -10,27 +10,167 @@ const config = {
     HEALTH: '/health',
   },
   
+  // Backend authentication; credentials are entered at runtime and never baked into the build
+  AUTH: {
+    METHOD: process.env.REACT_APP_AUTH_METHOD || 'none', // 'none', 'api_key', 'bearer' or 'custom'
+    API_KEY_HEADER: process.env.REACT_APP_AUTH_API_KEY_HEADER || 'X-API-Key',
+    // Optional; POST { refresh_token } -> { access_token, expires_in }, relative to API_BASE_URL
+    REFRESH_ENDPOINT: process.env.REACT_APP_AUTH_REFRESH_ENDPOINT || '',
+    REFRESH_MARGIN: 60000, // refresh bearer tokens 1 minute before they expire
+    STORAGE: process.env.REACT_APP_AUTH_STORAGE || 'memory', // 'memory' (lost on reload) or 'session' (this tab)
+  },
+  
   // File upload settings
   UPLOAD: {
     MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
-    ALLOWED_TYPES: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'],
-    ACCEPT: 'image/*',
+    ALLOWED_TYPES: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif'],
+    ACCEPT: 'image/*,.heic,.heif',
+    MIN_DIMENSION: 128, // pixels, shortest side
+    MAX_DIMENSION: 12000, // pixels, longest side
+    ANIMATED_GIF: 'first-frame', // 'first-frame' or 'reject'
+    MAX_BATCH_SIZE: 50, // images per batch queue
+    MAX_CONCURRENT_REQUESTS: 2, // parallel /process calls while running a batch
+    URL_IMPORT_TIMEOUT: 20000, // 20 seconds to download an image from a link
+  },
+  
+  // Client-side preprocessing applied before upload
+  IMAGE_PROCESSING: {
+    ENABLED: true,
+    MAX_DIMENSION: 1600, // longest side in pixels
+    JPEG_QUALITY: 0.85, // 0-1
+    MAX_INPUT_SIZE: 50 * 1024 * 1024, // 50MB, largest original accepted for resizing
+  },
+  
+  // Privacy controls applied before anything leaves the browser
+  PRIVACY: {
+    CONSENT_REQUIRED: process.env.REACT_APP_REQUIRE_CONSENT !== 'false',
+    CONSENT_VERSION: 1, // bump after changing the text to ask everyone again
+    CONSENT_TITLE: 'Before you analyze a photo',
+    CONSENT_TEXT: process.env.REACT_APP_CONSENT_TEXT
+      || 'Photos are sent to an external analysis server for processing. Only analyze photos of a child '
+      + 'whose parent or legal guardian has agreed to this screening, and crop or blur anyone else in '
+      + 'the picture before analyzing.',
+    CONSENT_CHECKBOX: 'I confirm that the required consent has been given for the photos I analyze.',
+    STRIP_METADATA: true, // re-encode every upload so EXIF/GPS data never leaves the browser
+    BLUR_STRENGTH: 0.08, // blur radius as a fraction of the blurred region's longest side
+    CLEAR_IMAGES_AFTER: 15 * 60 * 1000, // 15 minutes without activity; 0 keeps images until reset
+  },
+
+  // Analysis progress: the upload always reports bytes sent; server stages only when the backend
+  // reports them for the job id sent in JOB_ID_HEADER (its CORS config must allow that header)
+  PROGRESS: {
+    STAGE_REPORTING: process.env.REACT_APP_STAGE_REPORTING || 'none', // 'none', 'poll' or 'sse'
+    JOB_ID_HEADER: 'X-Job-Id',
+    STATUS_ENDPOINT: '/jobs/{id}', // polled with GET; answers { stage, progress } (progress 0-1, optional)
+    EVENTS_ENDPOINT: '/jobs/{id}/events', // server-sent events, each message { stage, progress }
+    POLL_INTERVAL: 1000, // ms
+    STAGES: [ // in the order the backend runs them
+      { id: 'face_detection', label: 'Detecting faces' },
+      { id: 'age_check', label: 'Checking ages' },
+      { id: 'autism_regions', label: 'Analyzing facial regions' },
+    ],
+  },
+
+  // Backend health monitoring
+  HEALTH: {
+    TIMEOUT: 5000, // 5 seconds per health check
+    WAKE_UP_TIMEOUT: 90000, // Render cold starts can take over a minute
+    ONLINE_POLL_INTERVAL: 30000, // poll less often once the backend is up
+  },
+  
+  // Automatic retries for network failures, timeouts, 5xx and 429 responses
+  RETRY: {
+    MAX_ATTEMPTS: 3, // including the first request
+    BASE_DELAY: 1000, // 1 second, doubled on every retry
+    MAX_DELAY: 10000, // 10 seconds
+  },
+  
+  // Webcam capture
+  WEBCAM: {
+    RESOLUTIONS: [
+      { id: 'sd', label: '640 × 480', width: 640, height: 480 },
+      { id: 'hd', label: '1280 × 720', width: 1280, height: 720 },
+      { id: 'fhd', label: '1920 × 1080', width: 1920, height: 1080 },
+    ],
+    DEFAULT_RESOLUTION: 'hd', // requested as an ideal; the camera may pick the closest it supports
+    DEFAULT_FACING_MODE: 'user', // 'user' (front) or 'environment' (back)
+    MIRRORED: true, // mirror the preview only; captures keep the camera's orientation
+    COUNTDOWN_OPTIONS: [0, 3, 5, 10], // seconds
+    DEFAULT_COUNTDOWN: 3,
+    JPEG_QUALITY: 0.92,
+    BURST_FRAMES: 6, // frames per burst
+    BURST_INTERVAL: 200, // ms between burst frames
+    BURST_ANALYSIS_SIZE: 320, // pixels, longest side of the copy used to score frames
+  },
+
+  // Subject sessions: several images of one child combined into a consensus
+  SESSION: {
+    MIN_IMAGES: 2, // usable images needed before a consensus is shown
+  },
+
+  // Analyses requested while the backend is unreachable (IndexedDB, sent later)
+  OUTBOX: {
+    MAX_ITEMS: 50,
+    RETRY_DELAY: 10000, // ms before the first automatic retry after a connection failure, doubled per attempt
+    MAX_RETRY_DELAY: 300000, // ms, longest wait between automatic retries
+  },
+
+  // Local analysis history (IndexedDB, never uploaded)
+  HISTORY: {
+    ENABLED: true,
+    RETENTION_DAYS: 30,
+    MAX_ENTRIES: 200,
+    THUMBNAIL_SIZE: 160, // pixels, longest side
+  },
+
+  // Offline mock backend answering from src/mock/fixtures instead of API_BASE_URL
+  MOCK: {
+    ENABLED: process.env.REACT_APP_MOCK_BACKEND === 'true',
+    // 'cycle' rotates through the success fixtures; or child, multi-face, adult, no-faces,
+    // bad-request, server-error, rate-limited, unauthorized, forbidden, slow, timeout, offline
+    SCENARIO: process.env.REACT_APP_MOCK_SCENARIO || 'cycle',
+    LATENCY: 800, // ms per analyze request
+    SLOW_LATENCY: 8000, // ms for the 'slow' scenario
+  },
+
+  // Structured logging and the hidden developer diagnostics drawer
+  DIAGNOSTICS: {
+    // Lowest level echoed to the browser console; every level is kept for the drawer
+    LOG_LEVEL: process.env.REACT_APP_LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'warn' : 'debug'),
+    MAX_LOG_ENTRIES: 200,
+    MAX_REQUESTS: 50, // recent backend requests kept with timings, sizes and redacted bodies
+    MAX_HEALTH_CHECKS: 50,
+    MAX_BODY_LENGTH: 2000, // characters per string kept from a response body
+    SHORTCUT_KEY: 'D', // with Ctrl+Shift (⌘+Shift on macOS) toggles the drawer
+    QUERY_PARAM: 'debug', // ?debug in the page URL opens the drawer on load
+  },
+
+  // Screening report export
+  REPORT: {
+    TITLE: 'Autism Screening Report',
+    ORGANIZATION: process.env.REACT_APP_REPORT_ORGANIZATION || '',
+    DISCLAIMER: process.env.REACT_APP_REPORT_DISCLAIMER
+      || 'This report was generated by an AI screening tool and is not a medical diagnosis. '
+      + 'Results may be inaccurate and must be reviewed by a qualified healthcare professional '
+      + 'before any clinical decision is made.',
   },
   
   // UI settings
   UI: {
     ANIMATION_DURATION: 300,
     LOADING_TIMEOUT: 30000, // 30 seconds
-    AUTO_REFRESH_INTERVAL: 5000, // 5 seconds
+    AUTO_REFRESH_INTERVAL: 5000, // 5 seconds, health polling while the backend is waking up or offline
   },
   
   // Results display settings
   RESULTS: {
-    CONFIDENCE_THRESHOLDS: {
+    CONFIDENCE_SCALE: 'auto', // 'auto', 'fraction' (0–1) or 'percent' (0–100) for backend confidences
+    CONFIDENCE_THRESHOLDS: { // on a 0–1 scale
       HIGH: 0.7,
       MEDIUM: 0.4,
       LOW: 0.0,
     },
+    ADULT_AGE: 18, // faces at or above this age are adults
     CHIP_COLORS: {
       HIGH: 'success',
       MEDIUM: 'warning',
@@ -41,17 +181,67 @@ const config = {
   // Error messages
   ERRORS: {
     NETWORK_ERROR: 'Network error. Please check your connection and try again.',
+    TIMEOUT: 'Request timed out. Please try again.',
+    NOT_FOUND: 'API endpoint not found. Please check the configuration.',
     UPLOAD_ERROR: 'Failed to upload image. Please try again.',
     ANALYSIS_ERROR: 'Failed to analyze image. Please try again.',
-    FILE_TOO_LARGE: 'File size is too large. Please select an image under 10MB.',
+    FILE_TOO_LARGE: 'File size is too large.',
     INVALID_FILE_TYPE: 'Invalid file type. Please select a valid image file.',
     BACKEND_ERROR: 'Backend service is currently unavailable. Please try again later.',
+    SOURCE_FILE_TOO_LARGE: 'Image is too large to process.',
+    MALFORMED_RESPONSE: 'Unexpected response from server.',
+    RATE_LIMITED: 'Too many requests. Please wait a moment and try again.',
+    REQUEST_CANCELLED: 'Analysis cancelled.',
+    BACKEND_WAKING: 'The analysis server is starting up. Your analysis will begin as soon as it is ready.',
+    BACKEND_OFFLINE: 'The analysis server could not be reached. Please try again later.',
+    HISTORY_UNAVAILABLE: 'Local history is not available in this browser.',
+    REPORT_ERROR: 'Failed to generate the PDF report. Please try again.',
+    IMPORT_INVALID: 'This file is not an exported analysis result.',
+    IMPORT_VERSION: 'This export was made by a newer version of the app and cannot be imported.',
+    IMPORT_EMPTY: 'The export file contains no results.',
+    UNSUPPORTED_IMAGE_CONTENT: 'File content is not a supported image.',
+    IMAGE_TRUNCATED: 'The image file is incomplete. Please re-export or re-capture the photo.',
+    IMAGE_CORRUPT: 'The image could not be decoded. The file may be corrupt.',
+    IMAGE_TOO_SMALL: 'Image resolution is too small.',
+    IMAGE_DIMENSIONS_TOO_LARGE: 'Image resolution is too large.',
+    ANIMATED_GIF: 'Animated GIFs are not supported. Please select a still image.',
+    HEIC_UNSUPPORTED: 'This HEIC photo could not be converted. Please convert it to JPEG and try again.',
+    PREPROCESS_ERROR: 'Could not read the image for optimization. Please try another file.',
+    CAMERA_PERMISSION_DENIED: 'Camera access was denied. Allow camera access in your browser settings and try again.',
+    CAMERA_NOT_FOUND: 'No camera was found. Connect a camera or upload a photo instead.',
+    CAMERA_IN_USE: 'The camera is in use by another application. Close it and try again.',
+    CAMERA_UNSUPPORTED: 'Camera capture is not supported in this browser. Please upload a photo instead.',
+    CAMERA_ERROR: 'The camera could not be started. Please try again.',
+    CAMERA_NOT_READY: 'The camera is not ready yet. Please wait a moment and try again.',
+    CONSENT_REQUIRED: 'Consent must be acknowledged before analyzing photos.',
+    EDIT_ERROR: 'The image could not be edited. Please try again.',
+    OUTBOX_UNAVAILABLE: 'The offline outbox is not available in this browser.',
+    OUTBOX_FULL: 'The outbox is full. Send or remove queued analyses first.',
+    AUTH_REQUIRED: 'The analysis server requires credentials. Please enter them and try again.',
+    AUTH_FORBIDDEN: 'Your credentials are not allowed to use the analysis server. Please check them and try again.',
+    AUTH_HOOK_FAILED: 'Could not prepare the credentials for this request.',
+    URL_INVALID: 'Please enter a valid http:// or https:// link to an image.',
+    URL_CORS: 'The image could not be downloaded. The site hosting it may not allow other websites to load its images (CORS). Download the image and upload the file instead, or use a direct link that allows cross-origin access.',
+    URL_FETCH_FAILED: 'The image could not be downloaded from this link.',
+    URL_NOT_IMAGE: 'The link does not point to an image.',
+    URL_TIMEOUT: 'Downloading the image took too long. Please try again or upload the file instead.',
+    NO_IMAGES_DROPPED: 'No image files found.',
+    BATCH_LIMIT: 'Too many images.',
   },
   
   // Success messages
   SUCCESS: {
     UPLOAD_SUCCESS: 'Image uploaded successfully!',
     ANALYSIS_SUCCESS: 'Analysis completed successfully!',
+    BATCH_COMPLETE: 'Batch analysis finished.',
+    OUTBOX_QUEUED: 'Saved to the outbox. It will be analyzed as soon as the server is reachable.',
+    OUTBOX_SENT: 'Queued analysis finished and was saved to history:',
+    AUTH_SAVED: 'Credentials saved.',
+    AUTH_CLEARED: 'Credentials removed.',
+    CONSENT_WITHDRAWN: 'Consent withdrawn. The analysis history, the outbox and the images in memory were deleted.',
+    DEBUG_BUNDLE_COPIED: 'Debug bundle copied to the clipboard.',
+    DEBUG_BUNDLE_DOWNLOADED: 'The clipboard is not available, so the debug bundle was downloaded instead.',
+    IMAGES_CLEARED: 'Images were cleared from memory after a period of inactivity.',
   },
 };
 
@@ -0,0 +1,179 @@
+import { useCallback, useEffect, useReducer, useRef } from 'react';
+import { analyzeImage } from '../utils/api';
+import { isCancelledError } from '../utils/errors';
+import { RESPONSE_STATUS } from '../utils/response';
+
+// Phases of the single-image analysis flow
+export const ANALYSIS_STATE = {
+  IDLE: 'idle',
+  IMAGE_SELECTED: 'image-selected',
+  UPLOADING: 'uploading',
+  PROCESSING: 'processing',
+  CHILD_SCREENED: 'child_screened',
+  ADULT_INVALID: 'adult_invalid',
+  NO_FACES: 'no_faces',
+  FAILED: 'failed',
+};
+
+// Phases in which a request is in flight
+export const isBusyState = phase => (
+  phase === ANALYSIS_STATE.UPLOADING || phase === ANALYSIS_STATE.PROCESSING
+);
+
+// Phases that hold a finished result or error for the selected image
+export const isFinishedState = phase => [
+  ANALYSIS_STATE.CHILD_SCREENED,
+  ANALYSIS_STATE.ADULT_INVALID,
+  ANALYSIS_STATE.NO_FACES,
+  ANALYSIS_STATE.FAILED,
+].includes(phase);
+
+// Result phase for a normalized /process result
+export const getResultState = (result) => {
+  if (result.status === RESPONSE_STATUS.ADULT_INVALID) return ANALYSIS_STATE.ADULT_INVALID;
+  if (result.status === RESPONSE_STATUS.NO_FACES || (result.age && result.age.hasFaces === false)) {
+    return ANALYSIS_STATE.NO_FACES;
+  }
+  return ANALYSIS_STATE.CHILD_SCREENED;
+};
+
+export const initialAnalysisState = {
+  phase: ANALYSIS_STATE.IDLE,
+  image: null, // { file, previewUrl, readOnly }
+  result: null,
+  analyzedAt: null,
+  error: null, // AnalysisError from ../utils/errors
+  sizeSummary: '',
+  retryInfo: null,
+  uploadProgress: null, // { loaded, total } bytes of the current attempt
+  serverStage: null, // { stage, progress } when the backend reports stages
+};
+
+// Events that don't apply to the current phase leave the state unchanged
+export const analysisReducer = (state, action) => {
+  const busy = isBusyState(state.phase);
+
+  switch (action.type) {
+    case 'SELECT_IMAGE':
+      if (busy) return state;
+      return { ...initialAnalysisState, phase: ANALYSIS_STATE.IMAGE_SELECTED, image: action.image };
+    case 'START':
+      if (busy || !state.image) return state;
+      return { ...initialAnalysisState, phase: ANALYSIS_STATE.UPLOADING, image: state.image };
+    case 'PREPROCESSED':
+      if (!busy) return state;
+      return { ...state, sizeSummary: action.summary };
+    case 'UPLOAD_PROGRESS':
+      if (state.phase !== ANALYSIS_STATE.UPLOADING) return state;
+      return { ...state, uploadProgress: action.progress };
+    case 'STAGE':
+      if (state.phase !== ANALYSIS_STATE.PROCESSING) return state;
+      return { ...state, serverStage: action.stage };
+    case 'REQUEST_SENT':
+      if (state.phase !== ANALYSIS_STATE.UPLOADING) return state;
+      return { ...state, phase: ANALYSIS_STATE.PROCESSING };
+    case 'RETRY':
+      if (!busy) return state;
+      return {
+        ...state, phase: ANALYSIS_STATE.UPLOADING, retryInfo: action.retryInfo, uploadProgress: null, serverStage: null,
+      };
+    case 'SUCCESS':
+      if (!busy) return state;
+      return {
+        ...state,
+        phase: getResultState(action.result),
+        result: action.result,
+        analyzedAt: action.analyzedAt,
+        retryInfo: null,
+      };
+    case 'FAILURE':
+      return { ...state, phase: ANALYSIS_STATE.FAILED, error: action.error, retryInfo: null };
+    case 'CANCELLED':
+      if (!busy) return state;
+      return { ...state, phase: ANALYSIS_STATE.IMAGE_SELECTED, retryInfo: null };
+    case 'SHOW_RESULT':
+      if (busy) return state;
+      return {
+        ...initialAnalysisState,
+        phase: getResultState(action.result),
+        image: action.image,
+        result: action.result,
+        analyzedAt: action.analyzedAt,
+      };
+    case 'RESET':
+      if (busy) return state;
+      return initialAnalysisState;
+    default:
+      return state;
+  }
+};
+
+// Single-image analysis driven by analysisReducer; owns the preview object URL and the request
+// onResult(file, result) is called for every successful analysis
+const useAnalysis = ({ onResult } = {}) => {
+  const [state, dispatch] = useReducer(analysisReducer, initialAnalysisState);
+  const controllerRef = useRef(null);
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  const onResultRef = useRef(onResult);
+  onResultRef.current = onResult;
+
+  // Revoke each preview URL once it is replaced or the component unmounts
+  const previewUrl = state.image ? state.image.previewUrl : null;
+  useEffect(() => () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+  }, [previewUrl]);
+
+  const selectImage = useCallback((file) => {
+    dispatch({ type: 'SELECT_IMAGE', image: { file, previewUrl: URL.createObjectURL(file) } });
+  }, []);
+
+  // Show a stored or imported result; file may be null when the original image isn't available
+  // A readOnly image (e.g. a history thumbnail) is only displayed and never sent for analysis
+  const showResult = useCallback((file, result, analyzedAt = null, { readOnly = false } = {}) => {
+    const image = file ? { file, previewUrl: URL.createObjectURL(file), readOnly } : null;
+    dispatch({ type: 'SHOW_RESULT', image, result, analyzedAt });
+  }, []);
+
+  const analyze = useCallback(async () => {
+    const { image, phase } = stateRef.current;
+    if (!image || image.readOnly || isBusyState(phase)) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    dispatch({ type: 'START' });
+
+    try {
+      const result = await analyzeImage(image.file, {
+        signal: controller.signal,
+        onPreprocess: ({ summary }) => dispatch({ type: 'PREPROCESSED', summary }),
+        onUploadProgress: progress => dispatch({ type: 'UPLOAD_PROGRESS', progress }),
+        onRequestSent: () => dispatch({ type: 'REQUEST_SENT' }),
+        onStage: stage => dispatch({ type: 'STAGE', stage }),
+        onRetry: retryInfo => dispatch({ type: 'RETRY', retryInfo }),
+      });
+      dispatch({ type: 'SUCCESS', result, analyzedAt: Date.now() });
+      if (onResultRef.current) onResultRef.current(image.file, result);
+    } catch (err) {
+      if (isCancelledError(err)) {
+        dispatch({ type: 'CANCELLED' });
+      } else {
+        dispatch({ type: 'FAILURE', error: err });
+      }
+    } finally {
+      controllerRef.current = null;
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    if (controllerRef.current) controllerRef.current.abort();
+  }, []);
+
+  const fail = useCallback(error => dispatch({ type: 'FAILURE', error }), []);
+
+  const reset = useCallback(() => dispatch({ type: 'RESET' }), []);
+
+  return { state, selectImage, showResult, analyze, cancel, fail, reset };
+};
+
+export default useAnalysis;
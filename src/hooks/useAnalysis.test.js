@@ -0,0 +1,107 @@
+import {
+  ANALYSIS_STATE, analysisReducer, initialAnalysisState, getResultState, isBusyState, isFinishedState,
+} from './useAnalysis';
+import { RESPONSE_STATUS } from '../utils/response';
+import { NetworkError } from '../utils/errors';
+
+const image = { file: new File(['x'], 'child.jpg', { type: 'image/jpeg' }), previewUrl: 'blob:child' };
+const childResult = { status: RESPONSE_STATUS.CHILD_AUTISM_SCREENED, age: { hasFaces: true }, regions: [] };
+
+const run = (actions, state = initialAnalysisState) => actions.reduce(analysisReducer, state);
+const selected = run([{ type: 'SELECT_IMAGE', image }]);
+const uploading = run([{ type: 'START' }], selected);
+const processing = run([{ type: 'REQUEST_SENT' }], uploading);
+
+describe('analysisReducer', () => {
+  it('goes from an idle state through upload and processing to a result', () => {
+    expect(selected.phase).toBe(ANALYSIS_STATE.IMAGE_SELECTED);
+    expect(uploading.phase).toBe(ANALYSIS_STATE.UPLOADING);
+    expect(processing.phase).toBe(ANALYSIS_STATE.PROCESSING);
+
+    const done = run([{ type: 'SUCCESS', result: childResult, analyzedAt: 1000 }], processing);
+    expect(done.phase).toBe(ANALYSIS_STATE.CHILD_SCREENED);
+    expect(done.result).toBe(childResult);
+    expect(done.analyzedAt).toBe(1000);
+    expect(done.image).toBe(image);
+  });
+
+  it('does not start without an image', () => {
+    expect(run([{ type: 'START' }])).toBe(initialAnalysisState);
+  });
+
+  it('ignores a new image, a reset or a stored result while a request is in flight', () => {
+    expect(run([{ type: 'SELECT_IMAGE', image: { ...image } }], uploading)).toBe(uploading);
+    expect(run([{ type: 'RESET' }], processing)).toBe(processing);
+    expect(run([{ type: 'SHOW_RESULT', image, result: childResult }], processing)).toBe(processing);
+  });
+
+  it('only tracks upload progress while uploading and stages while processing', () => {
+    const progress = { loaded: 10, total: 100 };
+    expect(run([{ type: 'UPLOAD_PROGRESS', progress }], uploading).uploadProgress).toBe(progress);
+    expect(run([{ type: 'UPLOAD_PROGRESS', progress }], processing)).toBe(processing);
+
+    const stage = { stage: 'age_check', progress: 0.5 };
+    expect(run([{ type: 'STAGE', stage }], processing).serverStage).toBe(stage);
+    expect(run([{ type: 'STAGE', stage }], uploading)).toBe(uploading);
+  });
+
+  it('starts over from uploading on a retry and clears the progress of the failed attempt', () => {
+    const retryInfo = { attempt: 2, maxAttempts: 3 };
+    const retried = run([
+      { type: 'STAGE', stage: { stage: 'age_check', progress: null } },
+      { type: 'RETRY', retryInfo },
+    ], processing);
+    expect(retried.phase).toBe(ANALYSIS_STATE.UPLOADING);
+    expect(retried.retryInfo).toBe(retryInfo);
+    expect(retried.serverStage).toBeNull();
+    expect(retried.uploadProgress).toBeNull();
+  });
+
+  it('records a failure and keeps the image for another try', () => {
+    const error = new NetworkError();
+    const failed = run([{ type: 'FAILURE', error }], processing);
+    expect(failed.phase).toBe(ANALYSIS_STATE.FAILED);
+    expect(failed.error).toBe(error);
+    expect(run([{ type: 'START' }], failed).phase).toBe(ANALYSIS_STATE.UPLOADING);
+  });
+
+  it('returns to the selected image when cancelled', () => {
+    const cancelled = run([{ type: 'CANCELLED' }], uploading);
+    expect(cancelled.phase).toBe(ANALYSIS_STATE.IMAGE_SELECTED);
+    expect(cancelled.image).toBe(image);
+    expect(run([{ type: 'CANCELLED' }], selected)).toBe(selected);
+  });
+
+  it('shows a stored result and resets to idle', () => {
+    const shown = run([{ type: 'SHOW_RESULT', image: null, result: childResult, analyzedAt: 5 }]);
+    expect(shown.phase).toBe(ANALYSIS_STATE.CHILD_SCREENED);
+    expect(shown.image).toBeNull();
+    expect(run([{ type: 'RESET' }], shown)).toBe(initialAnalysisState);
+  });
+
+  it('leaves the state unchanged for unknown actions', () => {
+    expect(run([{ type: 'UNKNOWN' }], selected)).toBe(selected);
+  });
+});
+
+describe('getResultState', () => {
+  it('maps the result status to a result phase', () => {
+    expect(getResultState(childResult)).toBe(ANALYSIS_STATE.CHILD_SCREENED);
+    expect(getResultState({ status: RESPONSE_STATUS.ADULT_INVALID })).toBe(ANALYSIS_STATE.ADULT_INVALID);
+    expect(getResultState({ status: RESPONSE_STATUS.NO_FACES })).toBe(ANALYSIS_STATE.NO_FACES);
+  });
+
+  it('treats a screened result without faces as no faces', () => {
+    expect(getResultState({ ...childResult, age: { hasFaces: false } })).toBe(ANALYSIS_STATE.NO_FACES);
+  });
+});
+
+describe('phase helpers', () => {
+  it('tell busy and finished phases apart', () => {
+    expect(isBusyState(ANALYSIS_STATE.UPLOADING)).toBe(true);
+    expect(isBusyState(ANALYSIS_STATE.PROCESSING)).toBe(true);
+    expect(isBusyState(ANALYSIS_STATE.FAILED)).toBe(false);
+    expect(isFinishedState(ANALYSIS_STATE.FAILED)).toBe(true);
+    expect(isFinishedState(ANALYSIS_STATE.IMAGE_SELECTED)).toBe(false);
+  });
+});
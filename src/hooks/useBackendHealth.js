@@ -0,0 +1,100 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { checkApiHealth } from '../utils/api';
+import { createLogger } from '../utils/logger';
+import config from '../config';
+
+export const HEALTH_STATUS = {
+  CHECKING: 'checking',
+  ONLINE: 'online',
+  WAKING: 'waking',
+  OFFLINE: 'offline',
+};
+
+const log = createLogger('health');
+
+// Polls the health endpoint and tracks whether the backend is up, cold-starting or unreachable
+const useBackendHealth = () => {
+  const [status, setStatus] = useState(HEALTH_STATUS.CHECKING);
+  const [lastChecked, setLastChecked] = useState(null);
+  const statusRef = useRef(status);
+  const failingSince = useRef(null);
+
+  const updateStatus = useCallback((next) => {
+    if (next !== statusRef.current) log.info(`Backend ${statusRef.current} -> ${next}`);
+    statusRef.current = next;
+    setStatus(next);
+  }, []);
+
+  // Failed checks count as a cold start until WAKE_UP_TIMEOUT has passed since the first failure
+  const record = useCallback((ok) => {
+    setLastChecked(new Date());
+    if (ok) {
+      failingSince.current = null;
+      updateStatus(HEALTH_STATUS.ONLINE);
+      return;
+    }
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      updateStatus(HEALTH_STATUS.OFFLINE);
+      return;
+    }
+    const now = Date.now();
+    if (failingSince.current === null) failingSince.current = now;
+    updateStatus(now - failingSince.current < config.HEALTH.WAKE_UP_TIMEOUT
+      ? HEALTH_STATUS.WAKING
+      : HEALTH_STATUS.OFFLINE);
+  }, [updateStatus]);
+
+  const check = useCallback(async () => {
+    const ok = await checkApiHealth();
+    record(ok);
+    return ok;
+  }, [record]);
+
+  // Wake-up ping: one long-lived request on page load so a sleeping backend starts booting immediately
+  useEffect(() => {
+    const controller = new AbortController();
+    checkApiHealth({ timeout: config.HEALTH.WAKE_UP_TIMEOUT, signal: controller.signal })
+      .then((ok) => {
+        if (ok && !controller.signal.aborted) record(true);
+      });
+    return () => controller.abort();
+  }, [record]);
+
+  // Regular polling: frequent while waking up or offline, relaxed once online
+  useEffect(() => {
+    let active = true;
+    let timer = null;
+
+    const poll = async () => {
+      if (!document.hidden) {
+        const ok = await checkApiHealth();
+        if (!active) return;
+        record(ok);
+      }
+      const delay = statusRef.current === HEALTH_STATUS.ONLINE
+        ? config.HEALTH.ONLINE_POLL_INTERVAL
+        : config.UI.AUTO_REFRESH_INTERVAL;
+      timer = setTimeout(poll, delay);
+    };
+
+    const handleOnline = () => {
+      failingSince.current = null;
+      checkApiHealth().then(ok => active && record(ok));
+    };
+    const handleOffline = () => updateStatus(HEALTH_STATUS.OFFLINE);
+
+    poll();
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      active = false;
+      clearTimeout(timer);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [record, updateStatus]);
+
+  return { status, lastChecked, check };
+};
+
+export default useBackendHealth;
@@ -0,0 +1,156 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { analyzeImage, validateFile } from '../utils/api';
+import { isCancelledError } from '../utils/errors';
+import { RESPONSE_STATUS } from '../utils/response';
+import config from '../config';
+
+// Status of a single image in the batch queue
+export const BATCH_STATUS = {
+  QUEUED: 'queued',
+  ANALYZING: 'analyzing',
+  DONE: 'done',
+  ADULT_INVALID: 'adult_invalid',
+  FAILED: 'failed',
+};
+
+// A queue item for a file; files that fail the upfront checks start out as failed
+const createItem = (id, file) => {
+  let status = BATCH_STATUS.QUEUED;
+  let error = null;
+  try {
+    validateFile(file, { beforePreprocess: true });
+  } catch (err) {
+    status = BATCH_STATUS.FAILED;
+    error = err.message;
+  }
+  return {
+    id,
+    file,
+    previewUrl: URL.createObjectURL(file),
+    status,
+    result: null,
+    finishedAt: null,
+    error,
+    sizeSummary: null,
+    attempt: null,
+  };
+};
+
+// Queue of images analyzed with a limited number of concurrent requests
+// While `paused` (e.g. the backend is waking up) no new requests are started
+// onItemResult(file, result) is called for every item analyzed successfully
+const useBatchQueue = ({ onComplete, onItemResult, paused = false } = {}) => {
+  const [items, setItems] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const nextId = useRef(1);
+  const controllers = useRef(new Map());
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const onItemResultRef = useRef(onItemResult);
+  onItemResultRef.current = onItemResult;
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  // Add files to the queue; returns the ids of the items for the files that were accepted
+  const addFiles = useCallback((files) => {
+    const room = config.UPLOAD.MAX_BATCH_SIZE - itemsRef.current.length;
+    const newItems = files.slice(0, Math.max(room, 0)).map(file => createItem(nextId.current++, file));
+    setItems(prev => [...prev, ...newItems]);
+    return newItems.map(item => item.id);
+  }, []);
+
+  // Swap the image of an item, which is queued again; returns false if the item is gone
+  const replaceFile = useCallback((id, file) => {
+    const previous = itemsRef.current.find(item => item.id === id);
+    if (!previous) return false;
+    if (controllers.current.has(id)) controllers.current.get(id).abort();
+    URL.revokeObjectURL(previous.previewUrl);
+    setItems(prev => prev.map(item => (item.id === id ? createItem(id, file) : item)));
+    return true;
+  }, []);
+
+  const start = useCallback(() => setIsRunning(true), []);
+
+  const retry = useCallback((id) => {
+    updateItem(id, {
+      status: BATCH_STATUS.QUEUED, result: null, finishedAt: null, error: null, attempt: null,
+    });
+    setIsRunning(true);
+  }, [updateItem]);
+
+  const remove = useCallback((id) => {
+    if (controllers.current.has(id)) controllers.current.get(id).abort();
+    setItems(prev => prev.filter((item) => {
+      if (item.id !== id) return true;
+      URL.revokeObjectURL(item.previewUrl);
+      return false;
+    }));
+  }, []);
+
+  const clear = useCallback(() => {
+    controllers.current.forEach(controller => controller.abort());
+    controllers.current.clear();
+    itemsRef.current.forEach(item => URL.revokeObjectURL(item.previewUrl));
+    setItems([]);
+    setIsRunning(false);
+  }, []);
+
+  // Fill free request slots with queued items while the batch is running
+  useEffect(() => {
+    if (!isRunning) return;
+
+    const active = items.filter(item => item.status === BATCH_STATUS.ANALYZING).length;
+    const queued = items.filter(item => item.status === BATCH_STATUS.QUEUED);
+
+    if (active === 0 && queued.length === 0) {
+      setIsRunning(false);
+      if (onComplete) onComplete(items);
+      return;
+    }
+
+    const slots = config.UPLOAD.MAX_CONCURRENT_REQUESTS - active;
+    if (paused || slots <= 0 || queued.length === 0) return;
+
+    const toStart = queued.slice(0, slots);
+    const startIds = toStart.map(item => item.id);
+    setItems(prev => prev.map(item => (
+      startIds.includes(item.id) ? { ...item, status: BATCH_STATUS.ANALYZING } : item
+    )));
+
+    toStart.forEach((item) => {
+      const controller = new AbortController();
+      controllers.current.set(item.id, controller);
+      const onPreprocess = ({ summary }) => updateItem(item.id, { sizeSummary: summary });
+      const onRetry = ({ attempt, maxAttempts }) => updateItem(item.id, { attempt: `${attempt}/${maxAttempts}` });
+
+      analyzeImage(item.file, { onPreprocess, onRetry, signal: controller.signal })
+        .then((res) => {
+          // A result that arrives after the item was replaced belongs to the old image
+          if (controller.signal.aborted) return;
+          updateItem(item.id, {
+            status: res.status === RESPONSE_STATUS.ADULT_INVALID ? BATCH_STATUS.ADULT_INVALID : BATCH_STATUS.DONE,
+            result: res,
+            finishedAt: Date.now(),
+          });
+          if (onItemResultRef.current) onItemResultRef.current(item.file, res);
+        })
+        .catch((err) => {
+          // Cancelled items were removed from the queue
+          if (isCancelledError(err)) return;
+          updateItem(item.id, { status: BATCH_STATUS.FAILED, error: err.message });
+        })
+        // A replaced item has a new controller under the same id by the time this one settles
+        .finally(() => {
+          if (controllers.current.get(item.id) === controller) controllers.current.delete(item.id);
+        });
+    });
+  }, [isRunning, items, onComplete, paused, updateItem]);
+
+  return {
+    items, isRunning, addFiles, replaceFile, start, retry, remove, clear,
+  };
+};
+
+export default useBatchQueue;
@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const hasMediaDevices = () => typeof navigator !== 'undefined'
+  && Boolean(navigator.mediaDevices && navigator.mediaDevices.enumerateDevices);
+
+// Lists the available video inputs and follows cameras being plugged in or removed
+// Browsers only expose device labels after camera permission is granted, so call refresh()
+// once the stream has started
+const useCameraDevices = () => {
+  const [devices, setDevices] = useState([]);
+
+  const refresh = useCallback(async () => {
+    if (!hasMediaDevices()) return;
+    try {
+      const all = await navigator.mediaDevices.enumerateDevices();
+      setDevices(all
+        .filter(device => device.kind === 'videoinput')
+        .map((device, idx) => ({ deviceId: device.deviceId, label: device.label || `Camera ${idx + 1}` })));
+    } catch (error) {
+      setDevices([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!hasMediaDevices()) return undefined;
+    refresh();
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refresh);
+  }, [refresh]);
+
+  return { devices, refresh };
+};
+
+export default useCameraDevices;
@@ -0,0 +1,89 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  addHistoryEntry, clearHistory, deleteHistoryEntry, listHistoryEntries, pruneHistory,
+} from '../utils/historyStore';
+import { preprocessImage } from '../utils/image';
+import { createLogger } from '../utils/logger';
+import config from '../config';
+
+const log = createLogger('history');
+
+// Build a history record from the analyzed file and its normalized result
+// Only a small thumbnail of the image is kept, and nothing is sent anywhere
+const createEntry = async (file, result) => {
+  const { file: thumbnail } = await preprocessImage(file, {
+    maxDimension: config.HISTORY.THUMBNAIL_SIZE,
+    quality: 0.7,
+  });
+  return {
+    fileName: file.name || 'Captured Image',
+    status: result.status,
+    message: result.message,
+    age: result.age,
+    regions: result.regions,
+    finalDecision: result.finalDecision,
+    thumbnail,
+    result,
+  };
+};
+
+// Local analysis history stored in IndexedDB
+const useHistory = () => {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listHistoryEntries());
+      setError(null);
+    } catch (err) {
+      setError(err.message || config.ERRORS.HISTORY_UNAVAILABLE);
+    }
+  }, []);
+
+  // Enforce the retention period on load
+  useEffect(() => {
+    if (!config.HISTORY.ENABLED) return;
+    pruneHistory()
+      .catch(() => {})
+      .then(refresh);
+  }, [refresh]);
+
+  const add = useCallback(async (file, result) => {
+    if (!config.HISTORY.ENABLED) return;
+    try {
+      const entry = await addHistoryEntry(await createEntry(file, result));
+      setEntries(prev => [entry, ...prev]);
+      if (await pruneHistory() > 0) await refresh();
+    } catch (err) {
+      log.error('Failed to save analysis history', err);
+    }
+  }, [refresh]);
+
+  // A failed delete shows the error and reloads what is actually stored
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteHistoryEntry(id);
+      setEntries(prev => prev.filter(entry => entry.id !== id));
+    } catch (err) {
+      log.error('Failed to delete a history entry', err);
+      await refresh();
+      setError(err.message || config.ERRORS.HISTORY_UNAVAILABLE);
+    }
+  }, [refresh]);
+
+  const clear = useCallback(async () => {
+    try {
+      await clearHistory();
+      setEntries([]);
+    } catch (err) {
+      log.error('Failed to clear the history', err);
+      await refresh();
+      setError(err.message || config.ERRORS.HISTORY_UNAVAILABLE);
+    }
+  }, [refresh]);
+
+  return { entries, error, add, remove, clear, refresh };
+};
+
+export default useHistory;
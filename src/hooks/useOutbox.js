@@ -0,0 +1,163 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  addOutboxItem, clearOutbox, countOutboxItems, deleteOutboxItem, listOutboxItems, updateOutboxItem,
+} from '../utils/outboxStore';
+import { analyzeImage } from '../utils/api';
+import { ERROR_CODES } from '../utils/errors';
+import config from '../config';
+
+// Status of an analysis waiting in the outbox
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  FAILED: 'failed',
+};
+
+// Failures that only mean the backend went away again; the item stays pending
+const isConnectionError = error => error.code === ERROR_CODES.NETWORK || error.code === ERROR_CODES.TIMEOUT;
+
+// Wait before the next automatic attempt, doubling with each failed one
+const getRetryDelay = attempts => Math.min(
+  config.OUTBOX.MAX_RETRY_DELAY,
+  config.OUTBOX.RETRY_DELAY * 2 ** Math.max(0, attempts - 1),
+);
+
+const isDue = (item, now) => item.status === OUTBOX_STATUS.PENDING && (item.nextAttemptAt || 0) <= now;
+
+// Persistent queue of analyses requested while the backend was unreachable
+// Pending items are sent one at a time while `online` is true; an item whose send fails on the
+// connection waits with exponential backoff (nextAttemptAt) before it is tried automatically again
+// onResult(file, result, item) is called for each one analyzed, after which it leaves the outbox
+const useOutbox = ({ online, onResult } = {}) => {
+  const [items, setItems] = useState([]);
+  const [error, setError] = useState(null);
+  const flushing = useRef(false);
+  const onResultRef = useRef(onResult);
+  onResultRef.current = onResult;
+
+  const refresh = useCallback(async () => {
+    try {
+      setItems(await listOutboxItems());
+      setError(null);
+    } catch (err) {
+      setError(err.message || config.ERRORS.OUTBOX_UNAVAILABLE);
+    }
+  }, []);
+
+  // Items still marked as sending were interrupted by a reload; send them again
+  useEffect(() => {
+    listOutboxItems()
+      .then(stored => Promise.all(stored
+        .filter(item => item.status === OUTBOX_STATUS.SENDING)
+        .map(item => updateOutboxItem(item.id, { status: OUTBOX_STATUS.PENDING }))))
+      .catch(() => {})
+      .then(refresh);
+  }, [refresh]);
+
+  // Store a file for later; rejects when the outbox is full or unavailable
+  const enqueue = useCallback(async (file) => {
+    if ((await countOutboxItems()) >= config.OUTBOX.MAX_ITEMS) {
+      throw new Error(config.ERRORS.OUTBOX_FULL);
+    }
+    await addOutboxItem({
+      file,
+      fileName: file.name || 'Captured Image',
+      status: OUTBOX_STATUS.PENDING,
+      error: null,
+      attempts: 0,
+      lastAttemptAt: null,
+      nextAttemptAt: null,
+    });
+    await refresh();
+  }, [refresh]);
+
+  // Send due items oldest first; stops early if the connection drops again, and the items left
+  // unsent are held back until the failed one's next attempt
+  const flush = useCallback(async () => {
+    if (flushing.current) return;
+    flushing.current = true;
+    try {
+      const now = Date.now();
+      const pending = (await listOutboxItems()).filter(item => isDue(item, now));
+      for (const [index, item] of pending.entries()) {
+        await updateOutboxItem(item.id, {
+          status: OUTBOX_STATUS.SENDING,
+          attempts: item.attempts + 1,
+          lastAttemptAt: Date.now(),
+        });
+        await refresh();
+
+        try {
+          const result = await analyzeImage(item.file);
+          await deleteOutboxItem(item.id);
+          if (onResultRef.current) onResultRef.current(item.file, result, item);
+        } catch (err) {
+          const connectionLost = isConnectionError(err);
+          const nextAttemptAt = connectionLost ? Date.now() + getRetryDelay(item.attempts + 1) : null;
+          await updateOutboxItem(item.id, {
+            status: connectionLost ? OUTBOX_STATUS.PENDING : OUTBOX_STATUS.FAILED,
+            error: err.message,
+            nextAttemptAt,
+          });
+          if (connectionLost) {
+            await Promise.all(pending.slice(index + 1).map(rest => updateOutboxItem(rest.id, { nextAttemptAt })));
+            break;
+          }
+        }
+      }
+    } catch (err) {
+      setError(err.message || config.ERRORS.OUTBOX_UNAVAILABLE);
+    } finally {
+      flushing.current = false;
+      await refresh();
+    }
+  }, [refresh]);
+
+  // Manual retry: send right away instead of waiting for the backoff or the next health check
+  const retry = useCallback(async (id) => {
+    try {
+      await updateOutboxItem(id, { status: OUTBOX_STATUS.PENDING, error: null, nextAttemptAt: null });
+    } catch (err) {
+      setError(err.message || config.ERRORS.OUTBOX_UNAVAILABLE);
+      return;
+    }
+    await flush();
+  }, [flush]);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteOutboxItem(id);
+    } catch (err) {
+      setError(err.message || config.ERRORS.OUTBOX_UNAVAILABLE);
+      return;
+    }
+    await refresh();
+  }, [refresh]);
+
+  const clear = useCallback(async () => {
+    try {
+      await clearOutbox();
+    } catch (err) {
+      setError(err.message || config.ERRORS.OUTBOX_UNAVAILABLE);
+      return;
+    }
+    await refresh();
+  }, [refresh]);
+
+  // While online, flush when the earliest pending item is due; items that just failed are not
+  // due yet, so a backend that passes health checks but fails uploads isn't retried in a loop
+  const nextDueAt = items
+    .filter(item => item.status === OUTBOX_STATUS.PENDING)
+    .reduce((earliest, item) => Math.min(earliest, item.nextAttemptAt || 0), Infinity);
+  useEffect(() => {
+    if (!online || nextDueAt === Infinity) return undefined;
+    const timer = setTimeout(flush, Math.max(0, nextDueAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [online, nextDueAt, flush]);
+
+  return {
+    items, error, enqueue, retry, remove, clear, flush,
+  };
+};
+
+export default useOutbox;
@@ -0,0 +1,48 @@
+import { useEffect, useRef } from 'react';
+
+// Screenshot tools put the image on the clipboard as "image.png"; give it a recognizable name
+const GENERIC_NAME = /^image\.\w+$/i;
+
+const nameClipboardImage = (file, index) => {
+  if (file.name && !GENERIC_NAME.test(file.name)) return file;
+  const extension = file.type.split('/')[1] || 'png';
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return new File([file], `pasted-image-${stamp}${index > 0 ? `-${index + 1}` : ''}.${extension}`, {
+    type: file.type,
+    lastModified: Date.now(),
+  });
+};
+
+// Image files on the clipboard, whether copied as image data or as files from a file manager
+const getClipboardImages = (clipboardData) => {
+  if (!clipboardData) return [];
+  const fromItems = Array.from(clipboardData.items || [])
+    .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+    .map(item => item.getAsFile())
+    .filter(Boolean);
+  const files = fromItems.length > 0
+    ? fromItems
+    : Array.from(clipboardData.files || []).filter(file => file.type.startsWith('image/'));
+  return files.map(nameClipboardImage);
+};
+
+// Page-wide paste handler: pasted images are passed to onFiles(files)
+// Pastes without image data (e.g. text into a field) are left to the browser
+const usePasteImages = ({ onFiles, enabled = true }) => {
+  const onFilesRef = useRef(onFiles);
+  onFilesRef.current = onFiles;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const handlePaste = (event) => {
+      const files = getClipboardImages(event.clipboardData);
+      if (files.length === 0) return;
+      event.preventDefault();
+      onFilesRef.current(files);
+    };
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [enabled]);
+};
+
+export default usePasteImages;
@@ -0,0 +1,59 @@
+import { useCallback, useState } from 'react';
+import {
+  DEFAULT_PROFILE_ID, applySettings, loadSettingsStore, saveSettingsStore,
+} from '../utils/settings';
+
+// Named settings profiles persisted in localStorage; the active one is applied to config
+// onApply(settings) is called after every switch or save of the active profile
+const useSettings = ({ onApply } = {}) => {
+  const [store, setStore] = useState(loadSettingsStore);
+
+  const activeProfile = store.profiles.find(profile => profile.id === store.activeProfileId);
+
+  const commit = useCallback((next) => {
+    const active = next.profiles.find(profile => profile.id === next.activeProfileId);
+    applySettings(active.settings);
+    saveSettingsStore(next);
+    setStore(next);
+    if (onApply) onApply(active.settings);
+  }, [onApply]);
+
+  const switchProfile = useCallback((id) => {
+    commit({ ...store, activeProfileId: id });
+  }, [commit, store]);
+
+  // Update an existing profile and make it active; the default profile is read-only
+  const saveProfile = useCallback((id, name, settings) => {
+    if (id === DEFAULT_PROFILE_ID) return;
+    commit({
+      activeProfileId: id,
+      profiles: store.profiles.map(profile => (profile.id === id ? { ...profile, name, settings } : profile)),
+    });
+  }, [commit, store]);
+
+  // Add a new profile and make it active
+  const createProfile = useCallback((name, settings) => {
+    const id = `profile-${Date.now()}`;
+    commit({ activeProfileId: id, profiles: [...store.profiles, { id, name, settings }] });
+    return id;
+  }, [commit, store]);
+
+  const deleteProfile = useCallback((id) => {
+    if (id === DEFAULT_PROFILE_ID) return;
+    commit({
+      activeProfileId: store.activeProfileId === id ? DEFAULT_PROFILE_ID : store.activeProfileId,
+      profiles: store.profiles.filter(profile => profile.id !== id),
+    });
+  }, [commit, store]);
+
+  return {
+    profiles: store.profiles,
+    activeProfile,
+    switchProfile,
+    saveProfile,
+    createProfile,
+    deleteProfile,
+  };
+};
+
+export default useSettings;
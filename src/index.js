@@ -2,10 +2,18 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { applyStoredSettings } from './utils/settings';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+
+// Saved settings must be in place before the first health check or request
+applyStoredSettings();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
-); 
\ No newline at end of file
+); 
+
+// Cache the app shell so the app opens without a connection
+serviceWorkerRegistration.register();
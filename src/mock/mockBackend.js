@@ -0,0 +1,178 @@
+import config from '../config';
+import { readImageDimensions } from '../utils/image';
+import { createLogger } from '../utils/logger';
+import child from './fixtures/child.json';
+import multiFace from './fixtures/multiFace.json';
+import adult from './fixtures/adult.json';
+import noFaces from './fixtures/noFaces.json';
+import badRequest from './fixtures/badRequest.json';
+import serverError from './fixtures/serverError.json';
+import health from './fixtures/health.json';
+
+const log = createLogger('mock-backend');
+
+// Fixture boxes are recorded against a 1000x1000 image and scaled to the uploaded image
+const FIXTURE_SIZE = 1000;
+
+// Every scenario the mock backend can answer with
+// `latency` defaults to config.MOCK.LATENCY; a null status means the request never completes
+export const MOCK_SCENARIOS = {
+  child: { status: 200, body: child },
+  'multi-face': { status: 200, body: multiFace },
+  adult: { status: 200, body: adult },
+  'no-faces': { status: 200, body: noFaces },
+  'bad-request': { status: 400, body: badRequest },
+  'server-error': { status: 500, body: serverError },
+  'rate-limited': { status: 429, body: { error: 'Too many requests' }, headers: { 'Retry-After': '2' } },
+  unauthorized: { status: 401, body: { error: 'Unauthorized' } },
+  forbidden: { status: 403, body: { error: 'Forbidden' } },
+  slow: { status: 200, body: child, latency: config.MOCK.SLOW_LATENCY },
+  timeout: { status: null },
+  offline: { offline: true },
+};
+
+// Scenarios the default 'cycle' mode rotates through, one per request
+const CYCLE = ['child', 'multi-face', 'adult', 'no-faces'];
+let cycleIndex = 0;
+
+// An uploaded file named after a scenario (e.g. "adult.jpg") picks that scenario,
+// otherwise config.MOCK.SCENARIO decides
+const pickScenario = (fileName = '') => {
+  const name = fileName.toLowerCase();
+  const named = Object.keys(MOCK_SCENARIOS)
+    .sort((a, b) => b.length - a.length)
+    .find(key => name.includes(key));
+  if (named) return named;
+  if (config.MOCK.SCENARIO !== 'cycle' && MOCK_SCENARIOS[config.MOCK.SCENARIO]) return config.MOCK.SCENARIO;
+
+  const scenario = CYCLE[cycleIndex % CYCLE.length];
+  cycleIndex += 1;
+  return scenario;
+};
+
+// Fixture image paths point at files served from public/mock
+const toAssetUrl = path => `${window.location.origin}${process.env.PUBLIC_URL}${path}`;
+
+// Copy of a fixture payload with local image URLs and boxes scaled to the upload
+const materialize = (body, size) => {
+  const data = JSON.parse(JSON.stringify(body));
+  const summary = data.age_check_summary;
+  const autism = data.autism_prediction_data;
+
+  if (summary && summary.annotated_image_url) summary.annotated_image_url = toAssetUrl(summary.annotated_image_url);
+  if (autism && autism.annotated_image_path) autism.annotated_image_path = toAssetUrl(autism.annotated_image_path);
+  if (summary && summary.annotations && size) {
+    summary.annotations.forEach((annotation) => {
+      const [x, y, w, h] = annotation.box;
+      const sx = size.width / FIXTURE_SIZE;
+      const sy = size.height / FIXTURE_SIZE;
+      annotation.box = [Math.round(x * sx), Math.round(y * sy), Math.round(w * sx), Math.round(h * sy)];
+    });
+  }
+  return data;
+};
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+// Resolve after `ms` unless the signal aborts first; `ms` of null waits for the abort only
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timeoutId = ms === null ? null : setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timeoutId);
+      reject(abortError());
+    }, { once: true });
+  }
+});
+
+const jsonResponse = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers },
+});
+
+// Analyze requests sent with a job id: id -> { startedAt, duration } of their processing
+const jobs = new Map();
+
+// Job id from a status path such as /jobs/abc, following config.PROGRESS.STATUS_ENDPOINT
+const matchJobPath = (path) => {
+  const [before, after] = config.PROGRESS.STATUS_ENDPOINT.split('{id}');
+  if (!path.startsWith(before) || !path.endsWith(after)) return null;
+  const id = path.slice(before.length, path.length - after.length);
+  return id && !id.includes('/') ? decodeURIComponent(id) : null;
+};
+
+// The configured stages spread evenly over the job's processing time
+const jobStatus = ({ startedAt, duration }) => {
+  const stages = config.PROGRESS.STAGES;
+  const elapsed = Math.min(Math.max((Date.now() - startedAt) / duration, 0), 0.999) * stages.length;
+  const index = Math.floor(elapsed);
+  return { stage: stages[index].id, progress: Math.round((elapsed - index) * 100) / 100 };
+};
+
+// Report upload progress in a few steps, as a real upload of `total` bytes would
+const simulateUpload = async (total, duration, { onUploadProgress, onUploadComplete, signal }) => {
+  const steps = 4;
+  for (let step = 1; step <= steps; step++) {
+    await delay(duration / steps, signal);
+    if (onUploadProgress) onUploadProgress({ loaded: Math.round((total * step) / steps), total });
+  }
+  if (onUploadComplete) onUploadComplete();
+};
+
+// Stand-in for fetch() that answers the health, analyze and job-status endpoints from fixtures
+export const mockFetch = async (url, {
+  body, headers = {}, signal, onUploadProgress, onUploadComplete,
+} = {}) => {
+  // Endpoints are matched by path so the settings panel can test any base URL
+  const path = url.startsWith(config.API_BASE_URL) ? url.slice(config.API_BASE_URL.length) : new URL(url).pathname;
+
+  if (path === config.ENDPOINTS.HEALTH) {
+    await delay(config.MOCK.LATENCY / 4, signal);
+    if (config.MOCK.SCENARIO === 'offline') throw new TypeError('Failed to fetch');
+    return jsonResponse(200, health);
+  }
+
+  if (path === config.ENDPOINTS.ANALYZE) {
+    const upload = body && body.get ? body.get('file') : null;
+    const name = pickScenario(upload && upload.name);
+    const scenario = MOCK_SCENARIOS[name];
+    log.info(`${path} -> ${name}`);
+
+    // The first quarter of the latency is spent "uploading", the rest "processing"
+    const latency = scenario.status === null ? null : scenario.latency ?? config.MOCK.LATENCY;
+    if (!scenario.offline) {
+      await simulateUpload(upload ? upload.size : 0, (latency ?? config.MOCK.LATENCY) / 4, {
+        onUploadProgress, onUploadComplete, signal,
+      });
+    }
+    const jobId = headers[config.PROGRESS.JOB_ID_HEADER];
+    const processing = latency === null ? null : (latency * 3) / 4;
+    if (jobId) jobs.set(jobId, { startedAt: Date.now(), duration: processing ?? config.MOCK.SLOW_LATENCY });
+
+    try {
+      await delay(processing, signal);
+    } finally {
+      if (jobId) jobs.delete(jobId);
+    }
+    if (scenario.offline) throw new TypeError('Failed to fetch');
+    if (scenario.status !== 200) return jsonResponse(scenario.status, scenario.body, scenario.headers);
+
+    const size = upload ? await readImageDimensions(upload).catch(() => null) : null;
+    return jsonResponse(200, materialize(scenario.body, size));
+  }
+
+  const jobId = matchJobPath(path);
+  if (jobId) {
+    await delay(config.MOCK.LATENCY / 20, signal);
+    return jobs.has(jobId)
+      ? jsonResponse(200, jobStatus(jobs.get(jobId)))
+      : jsonResponse(404, { error: 'Unknown job' });
+  }
+
+  await delay(config.MOCK.LATENCY / 4, signal);
+  return jsonResponse(404, { error: 'Not found' });
+};
@@ -0,0 +1,54 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker built by react-scripts (Workbox InjectManifest) into build/service-worker.js
+// Caches the app shell so the app opens offline; analysis requests always go to the network
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate, CacheFirst } from 'workbox-strategies';
+
+clientsClaim();
+
+// Every file of the build, injected by the build step
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for page navigations, except for files and URLs starting with /_
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/_')
+    && !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`),
+);
+
+// The app's own icons in public/. Only these are cached: a same-origin or proxied backend serves
+// annotated photos of children, which must not outlive the page
+const STATIC_IMAGES = ['favicon.svg', 'logo192.png', 'logo512.png']
+  .map(name => `${process.env.PUBLIC_URL}/${name}`);
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && STATIC_IMAGES.includes(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'static-images',
+    plugins: [new ExpirationPlugin({ maxEntries: 10 })],
+  }),
+);
+
+// Earlier versions cached every same-origin image, result photos included, in 'images'
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.delete('images'));
+});
+
+// Google Fonts stylesheet and font files
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com',
+  new StaleWhileRevalidate({ cacheName: 'google-fonts-stylesheets' }),
+);
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'google-fonts-webfonts',
+    plugins: [new ExpirationPlugin({ maxEntries: 30, maxAgeSeconds: 365 * 24 * 60 * 60 })],
+  }),
+);
@@ -0,0 +1,28 @@
+import { createLogger } from './utils/logger';
+
+const log = createLogger('service-worker');
+
+// Registers the service worker built from src/service-worker.js
+// Only in production builds, so a cached app shell never hides changes during development
+// A new version is installed in the background and takes over once every tab has been closed
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The service worker only works when PUBLIC_URL is on the same origin as the page
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => log.error('Service worker registration failed', error));
+  });
+};
+
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => log.error('Service worker unregistration failed', error));
+};
@@ -1,4 +1,21 @@
 import config from '../config';
+import {
+  preprocessImage, sniffImageType, hasCompleteTrailer, isAnimatedGif,
+  readImageDimensions, extractFirstFrame, convertHeicToJpeg,
+} from './image';
+import { parseAnalysisResponse } from './response';
+import { hasConsent } from './privacy';
+import { getAuthHeaders, refreshAuth, notifyAuthFailure } from './auth';
+import {
+  recordRequest, updateRequest, captureResponse, recordHealthCheck, getBodySize,
+} from './diagnostics';
+import { createLogger } from './logger';
+import {
+  ValidationError, TimeoutError, NetworkError, NotFoundError, ServerError, RateLimitError,
+  AuthError, BackendError, MalformedResponseError, CancelledError, toValidationError, isCancelledError,
+} from './errors';
+
+const log = createLogger('api');
 
 // Format file size for display
 export const formatFileSize = (bytes) => {
@@ -9,89 +26,589 @@ export const formatFileSize = (bytes) => {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
+// Display names for the accepted MIME types; others are shown as their upper-cased subtype
+const TYPE_NAMES = { 'image/jpeg': 'JPG', 'image/jpg': 'JPG', 'image/webp': 'WebP' };
+
+// The accepted formats for messages, e.g. "JPG, PNG, GIF, WebP, HEIC or HEIF"
+export const formatAllowedTypes = () => {
+  const names = [...new Set(config.UPLOAD.ALLOWED_TYPES.map(type => TYPE_NAMES[type] || type.split('/')[1].toUpperCase()))];
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names.join('');
+};
+
 // Validate file before upload
-export const validateFile = (file) => {
+// Originals may exceed the upload limit when preprocessing will shrink them
+export const validateFile = (file, { beforePreprocess = false } = {}) => {
   if (!file) {
-    throw new Error('No file selected');
+    throw new ValidationError('No file selected');
   }
 
-  if (!config.UPLOAD.ALLOWED_TYPES.includes(file.type)) {
-    throw new Error(config.ERRORS.INVALID_FILE_TYPE);
+  // Some platforms report HEIC files with an empty type; validateImageContent sniffs those
+  if (file.type && !config.UPLOAD.ALLOWED_TYPES.includes(file.type)) {
+    throw new ValidationError(config.ERRORS.INVALID_FILE_TYPE);
   }
 
-  if (file.size > config.UPLOAD.MAX_FILE_SIZE) {
-    throw new Error(config.ERRORS.FILE_TOO_LARGE);
+  if (beforePreprocess && config.IMAGE_PROCESSING.ENABLED) {
+    if (file.size > config.IMAGE_PROCESSING.MAX_INPUT_SIZE) {
+      throw new ValidationError(
+        `${config.ERRORS.SOURCE_FILE_TOO_LARGE} Please select an image under ${formatFileSize(config.IMAGE_PROCESSING.MAX_INPUT_SIZE)}.`,
+      );
+    }
+  } else if (file.size > config.UPLOAD.MAX_FILE_SIZE) {
+    throw new ValidationError(
+      `${config.ERRORS.FILE_TOO_LARGE} Please select an image under ${formatFileSize(config.UPLOAD.MAX_FILE_SIZE)}.`,
+    );
   }
 
   return true;
 };
 
-// Analyze image using the API
-export const analyzeImage = async (file) => {
-  try {
-    // Validate file first
-    validateFile(file);
+// Check the file's actual content: magic bytes, completeness, decodability and dimensions
+// Resolves to the file to upload, converted when the browser or backend can't use it as-is
+export const validateImageContent = async (file) => {
+  const type = await sniffImageType(file);
+  if (!type || !config.UPLOAD.ALLOWED_TYPES.includes(type)) {
+    throw new ValidationError(`${config.ERRORS.UNSUPPORTED_IMAGE_CONTENT} Please select a ${formatAllowedTypes()} image.`);
+  }
+
+  if (!(await hasCompleteTrailer(file, type))) {
+    throw new ValidationError(config.ERRORS.IMAGE_TRUNCATED);
+  }
 
-    // Create form data
-    const formData = new FormData();
-    formData.append('file', file);
+  let checked = file;
+  if (type === 'image/heic') {
+    // Most browsers and the backend can't decode HEIC, so it is always converted to JPEG
+    try {
+      checked = await convertHeicToJpeg(file);
+    } catch (error) {
+      throw new ValidationError(config.ERRORS.HEIC_UNSUPPORTED, { cause: error });
+    }
+  }
 
-    // Make API request with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), config.UI.LOADING_TIMEOUT);
+  if (type === 'image/gif' && (await isAnimatedGif(file))) {
+    if (config.UPLOAD.ANIMATED_GIF === 'reject') {
+      throw new ValidationError(config.ERRORS.ANIMATED_GIF);
+    }
+    checked = await extractFirstFrame(file).catch((error) => { throw toValidationError(error); });
+  }
 
-    const response = await fetch(`${config.API_BASE_URL}${config.ENDPOINTS.ANALYZE}`, {
-      method: 'POST',
-      body: formData,
-      signal: controller.signal,
+  const { width, height } = await readImageDimensions(checked)
+    .catch((error) => { throw toValidationError(error); });
+  if (Math.min(width, height) < config.UPLOAD.MIN_DIMENSION) {
+    throw new ValidationError(
+      `${config.ERRORS.IMAGE_TOO_SMALL} Please use an image at least ${config.UPLOAD.MIN_DIMENSION} pixels on each side.`,
+    );
+  }
+  if (Math.max(width, height) > config.UPLOAD.MAX_DIMENSION) {
+    throw new ValidationError(
+      `${config.ERRORS.IMAGE_DIMENSIONS_TOO_LARGE} Please use an image under ${config.UPLOAD.MAX_DIMENSION} pixels on each side.`,
+    );
+  }
+
+  // Normalize a missing or misleading declared type to the sniffed one
+  if (checked === file && file.type !== type) {
+    checked = new File([file], file.name, { type, lastModified: file.lastModified });
+  }
+  return checked;
+};
+
+// Resize, orient and strip metadata; reports before/after sizes through onPreprocess
+// Resolves to the file to upload and its pixel size, which face boxes in the response refer to
+// Re-encoding strips all metadata, so with PRIVACY.STRIP_METADATA it happens even without resizing
+const prepareUpload = async (file, onPreprocess) => {
+  if (!config.IMAGE_PROCESSING.ENABLED && !config.PRIVACY.STRIP_METADATA) {
+    const { width, height } = await readImageDimensions(file);
+    return { file, width, height };
+  }
+
+  const processed = await preprocessImage(file, config.IMAGE_PROCESSING.ENABLED ? {} : { maxDimension: Infinity });
+  if (onPreprocess) {
+    onPreprocess({
+      ...processed,
+      summary: `${formatFileSize(processed.originalSize)} → ${formatFileSize(processed.processedSize)}`,
+    });
+  }
+  return { file: processed.file, width: processed.width, height: processed.height };
+};
+
+// Response headers of an XMLHttpRequest as a Headers object
+const parseXhrHeaders = (raw) => {
+  const headers = new Headers();
+  raw.trim().split(/[\r\n]+/).filter(Boolean).forEach((line) => {
+    const index = line.indexOf(':');
+    if (index > 0) headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+  });
+  return headers;
+};
+
+// fetch() has no upload progress, so uploads that report it go through XMLHttpRequest
+// Resolves to a fetch Response and rejects like fetch: TypeError for network failures,
+// AbortError when the signal fires
+const sendWithProgress = (url, {
+  method = 'GET', body, headers = {}, signal, onUploadProgress, onUploadComplete,
+}) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  xhr.open(method, url);
+  xhr.responseType = 'blob';
+  Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+  xhr.upload.onprogress = (event) => {
+    if (event.lengthComputable && onUploadProgress) onUploadProgress({ loaded: event.loaded, total: event.total });
+  };
+  xhr.upload.onload = () => {
+    if (onUploadComplete) onUploadComplete();
+  };
+
+  const onAbort = () => xhr.abort();
+  const cleanup = () => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+  };
+  xhr.onload = () => {
+    cleanup();
+    resolve(new Response(xhr.status === 204 ? null : xhr.response, {
+      status: xhr.status,
+      statusText: xhr.statusText,
+      headers: parseXhrHeaders(xhr.getAllResponseHeaders()),
+    }));
+  };
+  xhr.onerror = () => {
+    cleanup();
+    reject(new TypeError('Network request failed'));
+  };
+  xhr.onabort = () => {
+    cleanup();
+    reject(new DOMException('The operation was aborted.', 'AbortError'));
+  };
+
+  if (signal) {
+    if (signal.aborted) {
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+      return;
+    }
+    signal.addEventListener('abort', onAbort);
+  }
+  xhr.send(body);
+});
+
+// fetch(), or the fixture-based mock backend when config.MOCK.ENABLED
+// The mock is loaded on demand so it stays out of production bundles
+// Passing onUploadProgress({ loaded, total }) switches to XMLHttpRequest, which also reports
+// onUploadComplete(). Upload listeners make the browser send a CORS preflight, so plain requests
+// keep using fetch
+const transport = async (url, { onUploadProgress, onUploadComplete, ...options }) => {
+  if (config.MOCK.ENABLED) {
+    const { mockFetch } = await import('../mock/mockBackend');
+    return mockFetch(url, { ...options, onUploadProgress, onUploadComplete });
+  }
+  if (onUploadProgress) {
+    return sendWithProgress(url, { ...options, onUploadProgress, onUploadComplete });
+  }
+  return fetch(url, options);
+};
+
+// transport() with an entry in the diagnostics request log; `kind` labels it there
+const request = async (url, { kind = 'request', ...options }) => {
+  const startedAt = Date.now();
+  const id = recordRequest({
+    kind, method: options.method || 'GET', url, startedAt, requestSize: getBodySize(options.body),
+  });
+  try {
+    const response = await transport(url, options);
+    updateRequest(id, { status: response.status, durationMs: Date.now() - startedAt });
+    captureResponse(id, response);
+    return response;
+  } catch (error) {
+    updateRequest(id, {
+      durationMs: Date.now() - startedAt,
+      error: error.name === 'AbortError' ? 'Aborted' : error.message,
     });
+    throw error;
+  }
+};
+
+// request() with the current credentials; a 401 gets one credential refresh and a second try
+// Failures of a custom header hook are thrown as AuthError
+const authorizedRequest = async (url, options = {}) => {
+  const send = async () => {
+    let headers;
+    try {
+      headers = await getAuthHeaders({ url, method: options.method || 'GET' });
+    } catch (error) {
+      throw new AuthError(config.ERRORS.AUTH_HOOK_FAILED, { status: null, cause: error });
+    }
+    return request(url, { ...options, headers: { ...options.headers, ...headers } });
+  };
+
+  const response = await send();
+  if (response.status !== 401 || !(await refreshAuth())) return response;
+  return send();
+};
+
+// Exponential backoff with jitter: half the delay is fixed, the other half random
+const getBackoffDelay = (attempt) => {
+  const exponential = Math.min(config.RETRY.MAX_DELAY, config.RETRY.BASE_DELAY * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+// Retry-After header in milliseconds, either delta-seconds or an HTTP date
+const parseRetryAfter = (response) => {
+  const header = response.headers.get('Retry-After');
+  if (!header) return null;
+  const seconds = Number(header);
+  const delay = Number.isNaN(seconds) ? Date.parse(header) - Date.now() : seconds * 1000;
+  return Number.isNaN(delay) ? null : Math.min(Math.max(delay, 0), config.RETRY.MAX_DELAY);
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(new CancelledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(new CancelledError());
+  };
+  const timeoutId = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// `error` field of a JSON error body, if the backend sent one
+const readErrorMessage = async (response) => {
+  try {
+    const body = await response.json();
+    return body && typeof body.error === 'string' ? body.error : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Id sent with an analyze request so the backend can report that job's stages
+const createJobId = () => (
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// { stage, progress } from a job-status payload; null when it names no stage
+const parseStage = (data) => {
+  if (!data || typeof data.stage !== 'string') return null;
+  const progress = Number(data.progress);
+  return {
+    stage: data.stage,
+    progress: Number.isFinite(progress) ? Math.min(Math.max(progress, 0), 1) : null,
+  };
+};
+
+// Follow a job's server-side stages through PROGRESS.STAGE_REPORTING ('poll' or 'sse'), calling
+// onStage({ stage, progress }) for each update; returns a function that stops watching
+// Stage reporting is best effort: failures only end the updates, never the analysis
+const watchJobStages = (jobId, onStage) => {
+  const { STAGE_REPORTING, STATUS_ENDPOINT, EVENTS_ENDPOINT, POLL_INTERVAL } = config.PROGRESS;
+  const jobUrl = endpoint => `${config.API_BASE_URL}${endpoint.replace('{id}', encodeURIComponent(jobId))}`;
+
+  if (STAGE_REPORTING === 'sse' && typeof EventSource !== 'undefined') {
+    // EventSource can't send headers, so this mode suits backends that don't need credentials here
+    const source = new EventSource(jobUrl(EVENTS_ENDPOINT));
+    source.onmessage = (event) => {
+      try {
+        const stage = parseStage(JSON.parse(event.data));
+        if (stage) onStage(stage);
+      } catch (error) {
+        // Ignore messages that aren't stage updates
+      }
+    };
+    source.onerror = () => source.close();
+    return () => source.close();
+  }
+
+  if (STAGE_REPORTING !== 'poll') return () => {};
 
+  const controller = new AbortController();
+  let timeoutId = null;
+  const poll = async () => {
+    try {
+      const response = await authorizedRequest(jobUrl(STATUS_ENDPOINT), {
+        kind: 'job-status', cache: 'no-store', signal: controller.signal,
+      });
+      // A backend without the endpoint won't grow one during this request
+      if (response.status === 404) return;
+      if (response.ok) {
+        const stage = parseStage(await response.json());
+        if (stage && !controller.signal.aborted) onStage(stage);
+      }
+    } catch (error) {
+      if (controller.signal.aborted) return;
+    }
+    timeoutId = setTimeout(poll, POLL_INTERVAL);
+  };
+  timeoutId = setTimeout(poll, POLL_INTERVAL);
+  return () => {
+    controller.abort();
     clearTimeout(timeoutId);
+  };
+};
+
+// Single POST to the analyze endpoint with its own timeout, linked to the caller's signal
+// Resolves to the normalized result; failures are thrown as the AnalysisError subclasses in ./errors
+// onUploadProgress({ loaded, total }) reports the upload; onRequestSent() fires once it is complete,
+// or right away when progress isn't asked for, after which server stages are reported through
+// onStage({ stage, progress })
+const sendAnalyzeRequest = async (upload, {
+  signal, onRequestSent, onUploadProgress, onStage, attempt,
+}) => {
+  const formData = new FormData();
+  formData.append('file', upload);
+
+  const jobId = config.PROGRESS.STAGE_REPORTING !== 'none' ? createJobId() : null;
+  let stopWatching = null;
+  const handleUploadComplete = () => {
+    if (onRequestSent) onRequestSent();
+    if (jobId && onStage && !stopWatching) stopWatching = watchJobStages(jobId, onStage);
+  };
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.UI.LOADING_TIMEOUT);
+  const abort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', abort);
+
+  const startedAt = Date.now();
+  const url = `${config.API_BASE_URL}${config.ENDPOINTS.ANALYZE}`;
+  const requestInfo = () => ({ method: 'POST', url, attempt, durationMs: Date.now() - startedAt });
+
+  try {
+    let response;
+    try {
+      const pending = authorizedRequest(url, {
+        kind: 'analyze',
+        method: 'POST',
+        body: formData,
+        headers: jobId ? { [config.PROGRESS.JOB_ID_HEADER]: jobId } : {},
+        signal: controller.signal,
+        ...(onUploadProgress ? { onUploadProgress, onUploadComplete: handleUploadComplete } : {}),
+      });
+      if (!onUploadProgress) handleUploadComplete();
+      response = await pending;
+    } catch (error) {
+      if (signal && signal.aborted) throw new CancelledError();
+      if (error instanceof AuthError) throw error;
+      if (error.name === 'AbortError') {
+        throw new TimeoutError(config.ERRORS.TIMEOUT, { request: requestInfo(), cause: error });
+      }
+      throw new NetworkError(config.ERRORS.NETWORK_ERROR, { request: requestInfo(), cause: error });
+    }
 
     if (!response.ok) {
-      if (response.status === 404) {
-        throw new Error('API endpoint not found. Please check the configuration.');
+      const options = { status: response.status, request: requestInfo() };
+      if (response.status === 401 || response.status === 403) {
+        const authError = new AuthError(
+          response.status === 401 ? config.ERRORS.AUTH_REQUIRED : config.ERRORS.AUTH_FORBIDDEN,
+          options,
+        );
+        notifyAuthFailure(authError);
+        throw authError;
+      } else if (response.status === 404) {
+        throw new NotFoundError(config.ERRORS.NOT_FOUND, options);
+      } else if (response.status === 429) {
+        throw new RateLimitError(config.ERRORS.RATE_LIMITED, { ...options, retryAfter: parseRetryAfter(response) });
       } else if (response.status >= 500) {
-        throw new Error(config.ERRORS.BACKEND_ERROR);
-      } else {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw new ServerError(config.ERRORS.BACKEND_ERROR, { ...options, retryAfter: parseRetryAfter(response) });
       }
+      const message = await readErrorMessage(response);
+      throw new BackendError(message || `HTTP ${response.status}: ${response.statusText}`, options);
     }
 
-    const data = await response.json();
-
-    // Validate response structure
-    if (!data || typeof data !== 'object') {
-      throw new Error('Invalid response format from server');
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      throw new MalformedResponseError(config.ERRORS.MALFORMED_RESPONSE, {
+        status: response.status, request: requestInfo(), cause: error,
+      });
     }
 
     // Check for specific error messages in response
-    if (data.error) {
-      throw new Error(data.error);
+    if (data && data.error) {
+      throw new BackendError(String(data.error), { status: response.status, request: requestInfo() });
     }
 
-    return data;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('Request timed out. Please try again.');
-    } else if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      throw new Error(config.ERRORS.NETWORK_ERROR);
-    } else {
+    try {
+      return parseAnalysisResponse(data);
+    } catch (error) {
+      error.status = response.status;
+      error.request = requestInfo();
       throw error;
     }
+  } catch (error) {
+    if (signal && signal.aborted) throw new CancelledError();
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener('abort', abort);
+    if (stopWatching) stopWatching();
+  }
+};
+
+// Analyze image using the API; resolves to the normalized result from parseAnalysisResponse
+// plus `imageSize`, the pixel size of the uploaded image. Rejects with an AnalysisError subclass
+// Options: onPreprocess(report), onUploadProgress({ loaded, total }), onRequestSent() once the
+// upload is complete, onStage({ stage, progress }) for server stages (see config.PROGRESS),
+// onRetry({ attempt, maxAttempts, delay, error }) and an abort `signal`
+export const analyzeImage = async (file, {
+  onPreprocess, onUploadProgress, onRequestSent, onStage, onRetry, signal,
+} = {}) => {
+  // Validation and preprocessing failures are not retried
+  if (!hasConsent()) throw new ValidationError(config.ERRORS.CONSENT_REQUIRED);
+  validateFile(file, { beforePreprocess: true });
+  const checked = await validateImageContent(file);
+
+  const { file: upload, width, height } = await prepareUpload(checked, onPreprocess)
+    .catch((error) => { throw toValidationError(error); });
+  validateFile(upload);
+
+  const maxAttempts = Math.max(1, config.RETRY.MAX_ATTEMPTS);
+  for (let attempt = 1; ; attempt++) {
+    if (signal && signal.aborted) throw new CancelledError();
+    try {
+      const result = await sendAnalyzeRequest(upload, {
+        signal, onRequestSent, onUploadProgress, onStage, attempt,
+      });
+      return { ...result, imageSize: { width, height } };
+    } catch (error) {
+      if (!error.retryable || attempt >= maxAttempts) {
+        if (!isCancelledError(error)) log.warn('Analysis failed', { attempt, error, request: error.request });
+        throw error;
+      }
+
+      const delay = error.retryAfter ?? getBackoffDelay(attempt);
+      log.info('Retrying analysis', { attempt: attempt + 1, maxAttempts, delay, error });
+      if (onRetry) onRetry({ attempt: attempt + 1, maxAttempts, delay, error });
+      await sleep(delay, signal);
+    }
+  }
+};
+
+// File name for a linked image: the last path segment, or a generic name for bare URLs
+const fileNameFromUrl = (url) => {
+  const segment = url.pathname.split('/').filter(Boolean).pop();
+  try {
+    return segment ? decodeURIComponent(segment) : 'linked-image';
+  } catch (error) {
+    return segment;
+  }
+};
+
+// Download an image from a link so it can go through the same checks as an uploaded file
+// The browser hides why a cross-origin request failed, so with a connection any fetch failure is
+// reported as a probable CORS block
+export const fetchImageFromUrl = async (link, { signal } = {}) => {
+  let url;
+  try {
+    url = new URL(link.trim());
+  } catch (error) {
+    throw new ValidationError(config.ERRORS.URL_INVALID);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ValidationError(config.ERRORS.URL_INVALID);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.UPLOAD.URL_IMPORT_TIMEOUT);
+  const abort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', abort);
+
+  try {
+    let response;
+    try {
+      response = await fetch(url.href, { mode: 'cors', credentials: 'omit', signal: controller.signal });
+    } catch (error) {
+      if (signal && signal.aborted) throw new CancelledError();
+      if (error.name === 'AbortError') throw new TimeoutError(config.ERRORS.URL_TIMEOUT, { cause: error });
+      if (navigator.onLine === false) throw new NetworkError(config.ERRORS.NETWORK_ERROR, { cause: error });
+      throw new NetworkError(config.ERRORS.URL_CORS, { cause: error });
+    }
+
+    if (!response.ok) {
+      throw new ValidationError(`${config.ERRORS.URL_FETCH_FAILED} (HTTP ${response.status})`, { status: response.status });
+    }
+
+    const blob = await response.blob();
+    // Shared-folder links often answer with a generic type, so the bytes decide
+    const type = (blob.type.startsWith('image/') && blob.type) || (await sniffImageType(blob));
+    if (!type) {
+      throw new ValidationError(`${config.ERRORS.URL_NOT_IMAGE} Please use a direct link to a ${formatAllowedTypes()} file.`);
+    }
+
+    return new File([blob], fileNameFromUrl(url), { type, lastModified: Date.now() });
+  } catch (error) {
+    // The body download can be aborted too
+    if (signal && signal.aborted) throw new CancelledError();
+    if (error.name === 'AbortError') throw new TimeoutError(config.ERRORS.URL_TIMEOUT, { cause: error });
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener('abort', abort);
   }
 };
 
 // Health check for API
-export const checkApiHealth = async () => {
+// fetch has no timeout option, so the request is aborted after `timeout` ms or when `signal` fires
+// `baseUrl` and `endpoint` let the settings panel test a backend before it is applied
+export const checkApiHealth = async ({
+  timeout = config.HEALTH.TIMEOUT,
+  signal,
+  baseUrl = config.API_BASE_URL,
+  endpoint = config.ENDPOINTS.HEALTH,
+} = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const abort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', abort);
+
+  const url = `${baseUrl.replace(/\/+$/, '')}${endpoint}`;
+  const startedAt = Date.now();
   try {
-    const response = await fetch(`${config.API_BASE_URL}${config.ENDPOINTS.HEALTH}`, {
+    const response = await authorizedRequest(url, {
+      kind: 'health',
       method: 'GET',
-      timeout: 5000,
+      cache: 'no-store',
+      signal: controller.signal,
     });
-    return response.ok;
+    // A server rejecting the credentials is still up; analyze requests report the auth problem
+    const ok = response.ok || response.status === 401 || response.status === 403;
+    recordHealthCheck({
+      url, ok, status: response.status, durationMs: Date.now() - startedAt, error: null,
+    });
+    return ok;
   } catch (error) {
-    console.error('Health check failed:', error);
+    const aborted = error.name === 'AbortError';
+    if (!aborted) log.warn('Health check failed', error);
+    recordHealthCheck({
+      url, ok: false, status: null, durationMs: Date.now() - startedAt, error: aborted ? 'Timed out or aborted' : error.message,
+    });
     return false;
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener('abort', abort);
+  }
+};
+
+// Backend version as reported by the health endpoint, or null if it doesn't report one
+// Gives up after HEALTH.TIMEOUT like checkApiHealth, so a hanging backend can't hold up the report
+export const getBackendVersion = async () => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.HEALTH.TIMEOUT);
+  try {
+    const response = await authorizedRequest(`${config.API_BASE_URL}${config.ENDPOINTS.HEALTH}`, {
+      kind: 'version', cache: 'no-store', signal: controller.signal,
+    });
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.version || data.model_version || null;
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
   }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,168 @@
+import config from '../config';
+
+const STORAGE_KEY = 'autism-detection-ai:auth';
+
+// Ways the API client can authenticate against the backend
+export const AUTH_METHODS = {
+  NONE: 'none',
+  API_KEY: 'api_key',
+  BEARER: 'bearer',
+  CUSTOM: 'custom',
+};
+
+// Credentials live in this module only: in memory, and in sessionStorage when AUTH.STORAGE is
+// 'session'. They are never written to localStorage or passed to any logger
+// { method, apiKey } or { method, token, refreshToken, expiresAt }
+let credentials = null;
+let customHeaderHook = null;
+let pendingRefresh = null;
+const failureListeners = new Set();
+
+const loadStoredCredentials = () => {
+  if (config.AUTH.STORAGE !== 'session') return null;
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+const storeCredentials = () => {
+  if (config.AUTH.STORAGE !== 'session') return;
+  try {
+    if (credentials) sessionStorage.setItem(STORAGE_KEY, JSON.stringify(credentials));
+    else sessionStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Storage can be full or blocked; the credentials still work for this page
+  }
+};
+
+credentials = loadStoredCredentials();
+
+// Expiry of a JWT in epoch ms from its `exp` claim; null for opaque tokens
+const readTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Exchange the refresh token at AUTH.REFRESH_ENDPOINT: POST { refresh_token } ->
+// { access_token, expires_in?, refresh_token? }; resolves to the new bearer credentials
+const refreshBearerToken = async (current) => {
+  if (!config.AUTH.REFRESH_ENDPOINT || !current.refreshToken) return null;
+  const response = await fetch(`${config.API_BASE_URL}${config.AUTH.REFRESH_ENDPOINT}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refresh_token: current.refreshToken }),
+    cache: 'no-store',
+  });
+  if (!response.ok) return null;
+  const data = await response.json();
+  if (!data || typeof data.access_token !== 'string') return null;
+  return {
+    ...current,
+    token: data.access_token,
+    refreshToken: data.refresh_token || current.refreshToken,
+    expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : readTokenExpiry(data.access_token),
+  };
+};
+
+// One provider per method: getHeaders(credentials, request) and an optional refresh(credentials)
+const PROVIDERS = {
+  [AUTH_METHODS.NONE]: {
+    getHeaders: () => ({}),
+  },
+  [AUTH_METHODS.API_KEY]: {
+    getHeaders: current => (current && current.apiKey ? { [config.AUTH.API_KEY_HEADER]: current.apiKey } : {}),
+  },
+  [AUTH_METHODS.BEARER]: {
+    getHeaders: current => (current && current.token ? { Authorization: `Bearer ${current.token}` } : {}),
+    refresh: refreshBearerToken,
+  },
+  [AUTH_METHODS.CUSTOM]: {
+    getHeaders: (current, request) => (customHeaderHook ? customHeaderHook(request) : {}),
+  },
+};
+
+// Deployments with their own auth scheme register a hook returning the headers for a request
+// ({ url, method }); it may be async. Used when AUTH.METHOD is 'custom'
+export const setCustomHeaderHook = (hook) => {
+  customHeaderHook = hook;
+};
+
+// Entered credentials take precedence over the build-time method
+export const getAuthMethod = () => (credentials && credentials.method) || config.AUTH.METHOD;
+
+// What the UI may show about the current credentials; never the secrets themselves
+export const getAuthStatus = () => {
+  const method = getAuthMethod();
+  return {
+    method,
+    configured: method === AUTH_METHODS.CUSTOM ? Boolean(customHeaderHook) : Boolean(credentials),
+    expiresAt: (credentials && credentials.expiresAt) || null,
+    canRefresh: Boolean(config.AUTH.REFRESH_ENDPOINT && credentials && credentials.refreshToken),
+  };
+};
+
+export const setCredentials = (next) => {
+  if (!next || next.method === AUTH_METHODS.NONE) {
+    credentials = next ? { method: AUTH_METHODS.NONE } : null;
+  } else if (next.method === AUTH_METHODS.BEARER) {
+    credentials = {
+      method: AUTH_METHODS.BEARER,
+      token: next.token,
+      refreshToken: next.refreshToken || null,
+      expiresAt: readTokenExpiry(next.token),
+    };
+  } else {
+    credentials = { method: next.method, apiKey: next.apiKey };
+  }
+  storeCredentials();
+};
+
+export const clearCredentials = () => setCredentials(null);
+
+// Refresh the credentials if the provider can; concurrent callers share one refresh
+// Resolves to true when new credentials are available
+export const refreshAuth = async () => {
+  const provider = PROVIDERS[getAuthMethod()];
+  if (!provider || !provider.refresh || !credentials) return false;
+  if (!pendingRefresh) {
+    pendingRefresh = provider.refresh(credentials)
+      .then((refreshed) => {
+        if (!refreshed) return false;
+        credentials = refreshed;
+        storeCredentials();
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+};
+
+// Headers to add to a backend request ({ url, method }); tokens about to expire are refreshed first
+export const getAuthHeaders = async (request) => {
+  const method = getAuthMethod();
+  const provider = PROVIDERS[method] || PROVIDERS[AUTH_METHODS.NONE];
+  if (credentials && credentials.expiresAt && credentials.expiresAt - config.AUTH.REFRESH_MARGIN < Date.now()) {
+    await refreshAuth();
+  }
+  return (await provider.getHeaders(credentials, request)) || {};
+};
+
+// Listeners called with the AuthError whenever the backend rejects the credentials;
+// returns an unsubscribe function
+export const onAuthFailure = (listener) => {
+  failureListeners.add(listener);
+  return () => failureListeners.delete(listener);
+};
+
+export const notifyAuthFailure = (error) => {
+  failureListeners.forEach(listener => listener(error));
+};
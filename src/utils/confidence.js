@@ -0,0 +1,59 @@
+import config from '../config';
+
+export const CONFIDENCE_SCALE = {
+  AUTO: 'auto',
+  FRACTION: 'fraction', // 0–1
+  PERCENT: 'percent', // 0–100
+};
+
+export const CONFIDENCE_LEVELS = ['HIGH', 'MEDIUM', 'LOW'];
+
+// Scale of a set of confidence values from one response
+// Detected over the whole set, since a single 0.9 could be either 90% or 0.9%
+export const detectConfidenceScale = (values) => {
+  const configured = config.RESULTS.CONFIDENCE_SCALE;
+  if (configured && configured !== CONFIDENCE_SCALE.AUTO) return configured;
+  return values.some(value => Number.isFinite(value) && value > 1)
+    ? CONFIDENCE_SCALE.PERCENT
+    : CONFIDENCE_SCALE.FRACTION;
+};
+
+// Confidence as a 0–1 score, or null when the backend didn't send a usable value
+export const normalizeConfidence = (value, scale) => {
+  if (!Number.isFinite(value)) return null;
+  const score = scale === CONFIDENCE_SCALE.PERCENT ? value / 100 : value;
+  return Math.min(Math.max(score, 0), 1);
+};
+
+// HIGH, MEDIUM or LOW for a 0–1 score using the configured thresholds
+export const getConfidenceLevel = (score) => {
+  if (score === null) return null;
+  const { HIGH, MEDIUM } = config.RESULTS.CONFIDENCE_THRESHOLDS;
+  if (score >= HIGH) return 'HIGH';
+  if (score >= MEDIUM) return 'MEDIUM';
+  return 'LOW';
+};
+
+// MUI palette color ('success', 'warning', 'error') configured for a level
+export const getConfidenceColor = level => config.RESULTS.CHIP_COLORS[level] || 'default';
+
+export const formatConfidence = score => (score === null ? '—' : `${(score * 100).toFixed(1)}%`);
+
+// Regions from a normalized result with `score` (0–1) and `level` added
+export const scoreRegions = (regions) => {
+  const scale = detectConfidenceScale(regions.map(r => r.confidence));
+  return regions.map((r) => {
+    const score = normalizeConfidence(r.confidence, scale);
+    return { ...r, score, level: getConfidenceLevel(score) };
+  });
+};
+
+// The region that most supports the final decision: the highest-scoring region predicting the
+// same label, or the highest-scoring region overall when none matches
+export const findDecisiveRegion = (scoredRegions, finalDecision) => {
+  const scored = scoredRegions.filter(r => r.score !== null);
+  const decision = (finalDecision || '').trim().toLowerCase();
+  const agreeing = scored.filter(r => decision && r.label.trim().toLowerCase() === decision);
+  const candidates = agreeing.length > 0 ? agreeing : scored;
+  return candidates.reduce((best, r) => (!best || r.score > best.score ? r : best), null);
+};
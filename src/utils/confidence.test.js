@@ -0,0 +1,82 @@
+import config from '../config';
+import {
+  CONFIDENCE_SCALE, detectConfidenceScale, findDecisiveRegion, formatConfidence, getConfidenceColor,
+  getConfidenceLevel, normalizeConfidence, scoreRegions,
+} from './confidence';
+
+describe('detectConfidenceScale', () => {
+  const configured = config.RESULTS.CONFIDENCE_SCALE;
+  afterEach(() => { config.RESULTS.CONFIDENCE_SCALE = configured; });
+
+  it('reads the scale from the whole set of values', () => {
+    expect(detectConfidenceScale([0.2, 0.9])).toBe(CONFIDENCE_SCALE.FRACTION);
+    expect(detectConfidenceScale([0.9, 78.4])).toBe(CONFIDENCE_SCALE.PERCENT);
+    expect(detectConfidenceScale([null, undefined])).toBe(CONFIDENCE_SCALE.FRACTION);
+  });
+
+  it('uses the configured scale when it is not auto', () => {
+    config.RESULTS.CONFIDENCE_SCALE = CONFIDENCE_SCALE.PERCENT;
+    expect(detectConfidenceScale([0.5])).toBe(CONFIDENCE_SCALE.PERCENT);
+  });
+});
+
+describe('normalizeConfidence', () => {
+  it('converts to a 0–1 score and clamps out-of-range values', () => {
+    expect(normalizeConfidence(78.4, CONFIDENCE_SCALE.PERCENT)).toBeCloseTo(0.784);
+    expect(normalizeConfidence(0.5, CONFIDENCE_SCALE.FRACTION)).toBe(0.5);
+    expect(normalizeConfidence(140, CONFIDENCE_SCALE.PERCENT)).toBe(1);
+    expect(normalizeConfidence(-0.2, CONFIDENCE_SCALE.FRACTION)).toBe(0);
+  });
+
+  it('returns null for missing or non-numeric values', () => {
+    expect(normalizeConfidence(null, CONFIDENCE_SCALE.FRACTION)).toBeNull();
+    expect(normalizeConfidence('0.5', CONFIDENCE_SCALE.FRACTION)).toBeNull();
+    expect(normalizeConfidence(NaN, CONFIDENCE_SCALE.FRACTION)).toBeNull();
+  });
+});
+
+describe('getConfidenceLevel', () => {
+  it('applies the configured thresholds', () => {
+    const { HIGH, MEDIUM } = config.RESULTS.CONFIDENCE_THRESHOLDS;
+    expect(getConfidenceLevel(HIGH)).toBe('HIGH');
+    expect(getConfidenceLevel(MEDIUM)).toBe('MEDIUM');
+    expect(getConfidenceLevel(MEDIUM - 0.01)).toBe('LOW');
+    expect(getConfidenceLevel(null)).toBeNull();
+  });
+
+  it('maps levels to chip colors', () => {
+    expect(getConfidenceColor('HIGH')).toBe(config.RESULTS.CHIP_COLORS.HIGH);
+    expect(getConfidenceColor(null)).toBe('default');
+  });
+});
+
+describe('formatConfidence', () => {
+  it('shows a percentage or a dash', () => {
+    expect(formatConfidence(0.784)).toBe('78.4%');
+    expect(formatConfidence(null)).toBe('—');
+  });
+});
+
+describe('scoreRegions and findDecisiveRegion', () => {
+  const regions = scoreRegions([
+    { region: 'Eyes', label: 'Autistic', confidence: 78.4 },
+    { region: 'Nose', label: 'Non-Autistic', confidence: 95 },
+    { region: 'Mouth', label: 'autistic ', confidence: 64.9 },
+    { region: 'Chin', label: 'Autistic', confidence: null },
+  ]);
+
+  it('scores every region on one scale', () => {
+    expect(regions.map(r => r.score)).toEqual([0.784, 0.95, 0.649, null]);
+    expect(regions[3].level).toBeNull();
+  });
+
+  it('prefers the strongest region agreeing with the decision', () => {
+    expect(findDecisiveRegion(regions, 'Autistic').region).toBe('Eyes');
+  });
+
+  it('falls back to the strongest region overall', () => {
+    expect(findDecisiveRegion(regions, 'Unknown').region).toBe('Nose');
+    expect(findDecisiveRegion(regions, null).region).toBe('Nose');
+    expect(findDecisiveRegion([], 'Autistic')).toBeNull();
+  });
+});
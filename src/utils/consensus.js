@@ -0,0 +1,97 @@
+import { RESPONSE_STATUS } from './response';
+import { scoreRegions } from './confidence';
+
+// Why an image of a subject session was left out of the consensus
+export const EXCLUSION_REASONS = {
+  NO_FACE: 'no_face',
+  ADULT: 'adult',
+  NO_DECISION: 'no_decision',
+};
+
+// A session is one child, so any frame without a face or with an adult in it is not used
+const getExclusionReason = (result) => {
+  if (result.status === RESPONSE_STATUS.NO_FACES || (result.age && result.age.hasFaces === false)) {
+    return EXCLUSION_REASONS.NO_FACE;
+  }
+  if (result.status === RESPONSE_STATUS.ADULT_INVALID || (result.age && result.age.adultsCount > 0)) {
+    return EXCLUSION_REASONS.ADULT;
+  }
+  if (!result.finalDecision) return EXCLUSION_REASONS.NO_DECISION;
+  return null;
+};
+
+const normalizeLabel = label => (label || '').trim().toLowerCase();
+
+// Count labels case-insensitively, keeping the first spelling seen; most frequent first
+const tally = (labels) => {
+  const counts = new Map();
+  labels.forEach((label) => {
+    const key = normalizeLabel(label);
+    if (!counts.has(key)) counts.set(key, { label, count: 0 });
+    counts.get(key).count += 1;
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+};
+
+// The most frequent label, or null when the top two are tied
+const findMajority = (votes) => {
+  if (votes.length === 0) return null;
+  if (votes.length > 1 && votes[1].count === votes[0].count) return null;
+  return votes[0].label;
+};
+
+// Combine the results of several images of the same child into one consensus
+// entries are [{ id, name, previewUrl, result }] for every analyzed image of the session
+export const buildConsensus = (entries) => {
+  const included = [];
+  const excluded = [];
+  entries.forEach((entry) => {
+    const reason = getExclusionReason(entry.result);
+    if (reason) excluded.push({ ...entry, reason });
+    else included.push(entry);
+  });
+
+  const votes = tally(included.map(entry => entry.result.finalDecision));
+  const decision = findMajority(votes);
+  const agreement = included.length > 0 && votes.length > 0 ? votes[0].count / included.length : null;
+  const disagreeing = decision
+    ? included.filter(entry => normalizeLabel(entry.result.finalDecision) !== normalizeLabel(decision))
+    : [];
+
+  // Per-region predictions across images; confidences are normalized per response first
+  const byRegion = new Map();
+  included.forEach((entry) => {
+    scoreRegions(entry.result.regions).forEach((r) => {
+      const key = normalizeLabel(r.region);
+      if (!byRegion.has(key)) byRegion.set(key, { region: r.region, predictions: [] });
+      byRegion.get(key).predictions.push({
+        id: entry.id, name: entry.name, label: r.label, score: r.score,
+      });
+    });
+  });
+
+  const regions = [...byRegion.values()].map(({ region, predictions }) => {
+    const labelVotes = tally(predictions.map(p => p.label));
+    const majorityLabel = findMajority(labelVotes);
+    const scores = predictions.map(p => p.score).filter(score => score !== null);
+    const mean = scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+    return {
+      region,
+      count: predictions.length,
+      votes: labelVotes,
+      majorityLabel,
+      agreement: labelVotes[0].count / predictions.length,
+      min: scores.length > 0 ? Math.min(...scores) : null,
+      max: scores.length > 0 ? Math.max(...scores) : null,
+      mean,
+      stdDev: mean === null ? null : Math.sqrt(scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length),
+      disagreeing: majorityLabel
+        ? predictions.filter(p => normalizeLabel(p.label) !== normalizeLabel(majorityLabel))
+        : [],
+    };
+  });
+
+  return {
+    included, excluded, votes, decision, agreement, disagreeing, regions,
+  };
+};
@@ -0,0 +1,77 @@
+import { EXCLUSION_REASONS, buildConsensus } from './consensus';
+import { RESPONSE_STATUS } from './response';
+
+const childAge = { hasFaces: true, kidsCount: 1, adultsCount: 0, faces: [] };
+
+const screened = (id, finalDecision, regions = []) => ({
+  id,
+  name: `photo-${id}.jpg`,
+  result: {
+    status: RESPONSE_STATUS.CHILD_AUTISM_SCREENED, age: childAge, finalDecision, regions,
+  },
+});
+
+const region = (name, label, confidence) => ({ region: name, label, confidence });
+
+describe('buildConsensus', () => {
+  it('takes the majority decision and lists the images that disagree', () => {
+    const consensus = buildConsensus([
+      screened(1, 'Autistic'),
+      screened(2, 'autistic'),
+      screened(3, 'Non-Autistic'),
+    ]);
+    expect(consensus.decision).toBe('Autistic');
+    expect(consensus.agreement).toBeCloseTo(2 / 3);
+    expect(consensus.votes).toEqual([{ label: 'Autistic', count: 2 }, { label: 'Non-Autistic', count: 1 }]);
+    expect(consensus.disagreeing.map(entry => entry.id)).toEqual([3]);
+  });
+
+  it('has no decision when the top labels are tied', () => {
+    const consensus = buildConsensus([screened(1, 'Autistic'), screened(2, 'Non-Autistic')]);
+    expect(consensus.decision).toBeNull();
+    expect(consensus.disagreeing).toEqual([]);
+  });
+
+  it('leaves out images without a face, with an adult or without a decision', () => {
+    const consensus = buildConsensus([
+      screened(1, 'Autistic'),
+      { id: 2, result: { status: RESPONSE_STATUS.NO_FACES, age: null, regions: [] } },
+      { id: 3, result: { status: RESPONSE_STATUS.ADULT_INVALID, age: null, regions: [] } },
+      { id: 4, result: { ...screened(4, 'Autistic').result, age: { ...childAge, adultsCount: 1 } } },
+      screened(5, null),
+    ]);
+    expect(consensus.included.map(entry => entry.id)).toEqual([1]);
+    expect(consensus.excluded.map(entry => [entry.id, entry.reason])).toEqual([
+      [2, EXCLUSION_REASONS.NO_FACE],
+      [3, EXCLUSION_REASONS.ADULT],
+      [4, EXCLUSION_REASONS.ADULT],
+      [5, EXCLUSION_REASONS.NO_DECISION],
+    ]);
+    expect(consensus.agreement).toBe(1);
+  });
+
+  it('summarizes each region across images on a common 0–1 scale', () => {
+    const consensus = buildConsensus([
+      screened(1, 'Autistic', [region('Eyes', 'Autistic', 80), region('Nose', 'Non-Autistic', 60)]),
+      screened(2, 'Autistic', [region('eyes', 'Autistic', 0.6)]),
+      screened(3, 'Autistic', [region('Eyes', 'Non-Autistic', 0.7)]),
+    ]);
+    const eyes = consensus.regions.find(r => r.region === 'Eyes');
+    expect(eyes.count).toBe(3);
+    expect(eyes.majorityLabel).toBe('Autistic');
+    expect(eyes.agreement).toBeCloseTo(2 / 3);
+    expect(eyes.min).toBeCloseTo(0.6);
+    expect(eyes.max).toBeCloseTo(0.8);
+    expect(eyes.mean).toBeCloseTo(0.7);
+    expect(eyes.stdDev).toBeCloseTo(Math.sqrt(0.02 / 3));
+    expect(eyes.disagreeing.map(p => p.id)).toEqual([3]);
+    expect(consensus.regions.find(r => r.region === 'Nose').count).toBe(1);
+  });
+
+  it('handles a session without usable images', () => {
+    const consensus = buildConsensus([]);
+    expect(consensus.decision).toBeNull();
+    expect(consensus.agreement).toBeNull();
+    expect(consensus.regions).toEqual([]);
+  });
+});
@@ -0,0 +1,119 @@
+import config from '../config';
+import { redact } from './redact';
+import { getLogEntries, clearLogEntries, subscribeToLog } from './logger';
+import { getAuthStatus } from './auth';
+
+// Recent backend requests and health checks for the diagnostics drawer, kept in memory only
+// Requests: { id, kind, method, url, startedAt, durationMs, status, requestSize, responseSize, body, error }
+// Health checks: { time, url, ok, durationMs, error }
+let requests = [];
+let healthChecks = [];
+let nextId = 1;
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+// Size in bytes of a request body; null when it can't be told without reading it
+export const getBodySize = (body) => {
+  if (body === undefined || body === null) return 0;
+  if (typeof body === 'string') return new Blob([body]).size;
+  if (body instanceof Blob) return body.size;
+  if (body instanceof FormData) {
+    return [...body.values()].reduce((sum, value) => sum + (value instanceof Blob ? value.size : new Blob([value]).size), 0);
+  }
+  return null;
+};
+
+// Start a request entry; returns its id for updateRequest
+export const recordRequest = (entry) => {
+  const id = nextId++;
+  requests = [...requests.slice(-(config.DIAGNOSTICS.MAX_REQUESTS - 1)), {
+    id,
+    status: null,
+    durationMs: null,
+    responseSize: null,
+    body: null,
+    error: null,
+    ...entry,
+    url: redact(entry.url),
+  }];
+  notify();
+  return id;
+};
+
+export const updateRequest = (id, changes) => {
+  requests = requests.map(request => (request.id === id ? { ...request, ...changes } : request));
+  notify();
+};
+
+// Keep the size and redacted body of a response without consuming it for the caller
+// Bodies that can't be read (already used, or not a real Response) are simply left unrecorded
+export const captureResponse = (id, response) => {
+  if (typeof response.clone !== 'function' || response.bodyUsed) return;
+  response.clone().text()
+    .then((text) => {
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        body = text;
+      }
+      updateRequest(id, {
+        responseSize: new Blob([text]).size,
+        body: redact(body, { maxStringLength: config.DIAGNOSTICS.MAX_BODY_LENGTH }),
+      });
+    })
+    .catch(() => {});
+};
+
+export const recordHealthCheck = (check) => {
+  healthChecks = [...healthChecks.slice(-(config.DIAGNOSTICS.MAX_HEALTH_CHECKS - 1)), {
+    time: Date.now(),
+    ...check,
+    url: redact(check.url),
+  }];
+  notify();
+};
+
+export const getDiagnostics = () => ({ requests, healthChecks, log: getLogEntries() });
+
+export const clearDiagnostics = () => {
+  requests = [];
+  healthChecks = [];
+  clearLogEntries();
+  notify();
+};
+
+// listener() is called on every new request, health check or log entry; returns an unsubscribe function
+export const subscribeToDiagnostics = (listener) => {
+  listeners.add(listener);
+  const unsubscribeLog = subscribeToLog(listener);
+  return () => {
+    listeners.delete(listener);
+    unsubscribeLog();
+  };
+};
+
+// The active configuration, including runtime settings; long texts are kept whole
+export const getConfigSnapshot = () => redact(JSON.parse(JSON.stringify(config)), { maxStringLength: Infinity });
+
+// Everything a bug report needs, as one JSON-serializable object; credentials are never included
+export const buildDebugBundle = () => {
+  const { method, configured } = getAuthStatus();
+  return {
+    generatedAt: new Date().toISOString(),
+    environment: {
+      build: process.env.NODE_ENV,
+      page: `${window.location.origin}${window.location.pathname}`,
+      userAgent: navigator.userAgent,
+      language: navigator.language,
+      online: navigator.onLine,
+      viewport: `${window.innerWidth}x${window.innerHeight}`,
+    },
+    auth: { method, configured },
+    config: getConfigSnapshot(),
+    healthChecks,
+    requests,
+    log: getLogEntries(),
+  };
+};
@@ -0,0 +1,92 @@
+import { ERROR_CODES } from './errors';
+
+// Recovery actions the error Alert can offer
+export const ERROR_ACTIONS = {
+  RETRY: 'retry',
+  CHOOSE_FILE: 'choose_file',
+  CHECK_SETTINGS: 'check_settings',
+  SEND_LATER: 'send_later',
+  SIGN_IN: 'sign_in',
+};
+
+const ACTIONS_BY_CODE = {
+  [ERROR_CODES.VALIDATION]: [ERROR_ACTIONS.CHOOSE_FILE],
+  [ERROR_CODES.TIMEOUT]: [ERROR_ACTIONS.RETRY, ERROR_ACTIONS.CHECK_SETTINGS],
+  [ERROR_CODES.NETWORK]: [ERROR_ACTIONS.RETRY, ERROR_ACTIONS.SEND_LATER, ERROR_ACTIONS.CHECK_SETTINGS],
+  [ERROR_CODES.NOT_FOUND]: [ERROR_ACTIONS.CHECK_SETTINGS],
+  [ERROR_CODES.SERVER]: [ERROR_ACTIONS.RETRY],
+  [ERROR_CODES.RATE_LIMITED]: [ERROR_ACTIONS.RETRY],
+  [ERROR_CODES.UNAUTHORIZED]: [ERROR_ACTIONS.SIGN_IN, ERROR_ACTIONS.CHECK_SETTINGS],
+  [ERROR_CODES.BACKEND_REPORTED]: [ERROR_ACTIONS.CHOOSE_FILE, ERROR_ACTIONS.RETRY],
+  [ERROR_CODES.MALFORMED_RESPONSE]: [ERROR_ACTIONS.RETRY, ERROR_ACTIONS.CHECK_SETTINGS],
+};
+
+// Titles and action labels per language; add a language by adding a key with the same shape
+const MESSAGES = {
+  en: {
+    titles: {
+      [ERROR_CODES.VALIDATION]: 'This image can\'t be analyzed',
+      [ERROR_CODES.TIMEOUT]: 'The server took too long to respond',
+      [ERROR_CODES.NETWORK]: 'Could not reach the analysis server',
+      [ERROR_CODES.NOT_FOUND]: 'Analysis endpoint not found',
+      [ERROR_CODES.SERVER]: 'The analysis server had a problem',
+      [ERROR_CODES.RATE_LIMITED]: 'Too many requests',
+      [ERROR_CODES.UNAUTHORIZED]: 'The server did not accept your credentials',
+      [ERROR_CODES.BACKEND_REPORTED]: 'The server could not analyze this image',
+      [ERROR_CODES.MALFORMED_RESPONSE]: 'Unexpected response from the server',
+      [ERROR_CODES.CANCELLED]: 'Analysis cancelled',
+      unknown: 'Analysis failed',
+    },
+    actions: {
+      [ERROR_ACTIONS.RETRY]: 'Try again',
+      [ERROR_ACTIONS.CHOOSE_FILE]: 'Choose another file',
+      [ERROR_ACTIONS.CHECK_SETTINGS]: 'Check settings',
+      [ERROR_ACTIONS.SEND_LATER]: 'Send when online',
+      [ERROR_ACTIONS.SIGN_IN]: 'Enter credentials',
+    },
+  },
+  es: {
+    titles: {
+      [ERROR_CODES.VALIDATION]: 'No se puede analizar esta imagen',
+      [ERROR_CODES.TIMEOUT]: 'El servidor tardó demasiado en responder',
+      [ERROR_CODES.NETWORK]: 'No se pudo conectar con el servidor de análisis',
+      [ERROR_CODES.NOT_FOUND]: 'No se encontró el servicio de análisis',
+      [ERROR_CODES.SERVER]: 'El servidor de análisis tuvo un problema',
+      [ERROR_CODES.RATE_LIMITED]: 'Demasiadas solicitudes',
+      [ERROR_CODES.UNAUTHORIZED]: 'El servidor no aceptó sus credenciales',
+      [ERROR_CODES.BACKEND_REPORTED]: 'El servidor no pudo analizar esta imagen',
+      [ERROR_CODES.MALFORMED_RESPONSE]: 'Respuesta inesperada del servidor',
+      [ERROR_CODES.CANCELLED]: 'Análisis cancelado',
+      unknown: 'El análisis falló',
+    },
+    actions: {
+      [ERROR_ACTIONS.RETRY]: 'Reintentar',
+      [ERROR_ACTIONS.CHOOSE_FILE]: 'Elegir otro archivo',
+      [ERROR_ACTIONS.CHECK_SETTINGS]: 'Revisar la configuración',
+      [ERROR_ACTIONS.SEND_LATER]: 'Enviar cuando haya conexión',
+      [ERROR_ACTIONS.SIGN_IN]: 'Introducir credenciales',
+    },
+  },
+};
+
+const getMessages = (locale) => {
+  const language = (locale || 'en').toLowerCase().split('-')[0];
+  return MESSAGES[language] || MESSAGES.en;
+};
+
+// Title, detail message and suggested actions ({ type, label }) for an error or message string
+// Titles and labels follow the browser language; anything a language lacks falls back to English
+export const describeError = (error, locale = typeof navigator !== 'undefined' ? navigator.language : 'en') => {
+  const messages = getMessages(locale);
+  const code = error && error.code;
+  return {
+    code: code || null,
+    title: messages.titles[code] || MESSAGES.en.titles[code] || messages.titles.unknown,
+    message: typeof error === 'string' ? error : error && error.message,
+    status: (error && error.status) || null,
+    actions: (ACTIONS_BY_CODE[code] || [ERROR_ACTIONS.RETRY]).map(type => ({
+      type,
+      label: messages.actions[type] || MESSAGES.en.actions[type],
+    })),
+  };
+};
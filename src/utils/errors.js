@@ -0,0 +1,120 @@
+import config from '../config';
+
+// Stable codes for every way an analysis can fail; the UI keys messages and actions off these
+export const ERROR_CODES = {
+  VALIDATION: 'validation',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  NOT_FOUND: 'not_found',
+  SERVER: 'server',
+  RATE_LIMITED: 'rate_limited',
+  UNAUTHORIZED: 'unauthorized',
+  BACKEND_REPORTED: 'backend_reported',
+  MALFORMED_RESPONSE: 'malformed_response',
+  CANCELLED: 'cancelled',
+};
+
+// Base class for analysis failures
+// `status` is the HTTP status when there was a response; `request` describes the attempt
+// ({ method, url, attempt, durationMs }); `retryable`/`retryAfter` drive the retry loop
+export class AnalysisError extends Error {
+  constructor(message, {
+    code, status = null, request = null, retryable = false, retryAfter = null, details = null, cause,
+  } = {}) {
+    super(message);
+    this.name = 'AnalysisError';
+    this.code = code;
+    this.status = status;
+    this.request = request;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+    this.details = details;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Names are set explicitly because class names don't survive minification
+
+// The file was rejected before anything was sent
+export class ValidationError extends AnalysisError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.VALIDATION });
+    this.name = 'ValidationError';
+  }
+}
+
+export class TimeoutError extends AnalysisError {
+  constructor(message = config.ERRORS.TIMEOUT, options = {}) {
+    super(message, { retryable: true, ...options, code: ERROR_CODES.TIMEOUT });
+    this.name = 'TimeoutError';
+  }
+}
+
+// No response at all (offline, DNS, CORS, connection reset)
+export class NetworkError extends AnalysisError {
+  constructor(message = config.ERRORS.NETWORK_ERROR, options = {}) {
+    super(message, { retryable: true, ...options, code: ERROR_CODES.NETWORK });
+    this.name = 'NetworkError';
+  }
+}
+
+export class NotFoundError extends AnalysisError {
+  constructor(message = config.ERRORS.NOT_FOUND, options = {}) {
+    super(message, { status: 404, ...options, code: ERROR_CODES.NOT_FOUND });
+    this.name = 'NotFoundError';
+  }
+}
+
+// 5xx responses
+export class ServerError extends AnalysisError {
+  constructor(message = config.ERRORS.BACKEND_ERROR, options = {}) {
+    super(message, { retryable: true, ...options, code: ERROR_CODES.SERVER });
+    this.name = 'ServerError';
+  }
+}
+
+export class RateLimitError extends AnalysisError {
+  constructor(message = config.ERRORS.RATE_LIMITED, options = {}) {
+    super(message, { status: 429, retryable: true, ...options, code: ERROR_CODES.RATE_LIMITED });
+    this.name = 'RateLimitError';
+  }
+}
+
+// 401/403: credentials are missing, expired or not allowed; retrying won't help until they change
+export class AuthError extends AnalysisError {
+  constructor(message = config.ERRORS.AUTH_REQUIRED, options = {}) {
+    super(message, { status: 401, ...options, code: ERROR_CODES.UNAUTHORIZED });
+    this.name = 'AuthError';
+  }
+}
+
+// The backend answered but reported a failure itself (an `error` field or another 4xx)
+export class BackendError extends AnalysisError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.BACKEND_REPORTED });
+    this.name = 'BackendError';
+  }
+}
+
+// The response doesn't match what the app expects; `details` lists the problems
+export class MalformedResponseError extends AnalysisError {
+  constructor(message = config.ERRORS.MALFORMED_RESPONSE, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.MALFORMED_RESPONSE });
+    this.name = 'MalformedResponseError';
+  }
+}
+
+// The caller aborted the request through its signal
+export class CancelledError extends AnalysisError {
+  constructor(message = config.ERRORS.REQUEST_CANCELLED, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.CANCELLED });
+    this.name = 'CancelledError';
+  }
+}
+
+export const isCancelledError = error => Boolean(error) && error.code === ERROR_CODES.CANCELLED;
+
+// Wrap anything thrown while checking or preparing a file (e.g. a decode failure) as a ValidationError
+export const toValidationError = error => (
+  error instanceof AnalysisError ? error : new ValidationError(error.message, { cause: error })
+);
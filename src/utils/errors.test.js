@@ -0,0 +1,94 @@
+import config from '../config';
+import {
+  AnalysisError, AuthError, BackendError, CancelledError, ERROR_CODES, MalformedResponseError, NetworkError,
+  NotFoundError, RateLimitError, ServerError, TimeoutError, ValidationError, isCancelledError, toValidationError,
+} from './errors';
+import { ERROR_ACTIONS, describeError } from './errorMessages';
+
+describe('error classes', () => {
+  it('each carry a stable code, default status and retry flag', () => {
+    const cases = [
+      [new ValidationError('bad file'), ERROR_CODES.VALIDATION, null, false],
+      [new TimeoutError(), ERROR_CODES.TIMEOUT, null, true],
+      [new NetworkError(), ERROR_CODES.NETWORK, null, true],
+      [new NotFoundError(), ERROR_CODES.NOT_FOUND, 404, false],
+      [new ServerError(undefined, { status: 502 }), ERROR_CODES.SERVER, 502, true],
+      [new RateLimitError(), ERROR_CODES.RATE_LIMITED, 429, true],
+      [new AuthError(), ERROR_CODES.UNAUTHORIZED, 401, false],
+      [new BackendError('no face', { status: 400 }), ERROR_CODES.BACKEND_REPORTED, 400, false],
+      [new MalformedResponseError(), ERROR_CODES.MALFORMED_RESPONSE, null, false],
+      [new CancelledError(), ERROR_CODES.CANCELLED, null, false],
+    ];
+    cases.forEach(([error, code, status, retryable]) => {
+      expect(error).toBeInstanceOf(AnalysisError);
+      expect(error).toBeInstanceOf(Error);
+      expect([error.code, error.status, error.retryable]).toEqual([code, status, retryable]);
+    });
+  });
+
+  it('keep the code even when options try to override it', () => {
+    expect(new TimeoutError(undefined, { code: ERROR_CODES.SERVER }).code).toBe(ERROR_CODES.TIMEOUT);
+  });
+
+  it('default to the configured messages', () => {
+    expect(new TimeoutError().message).toBe(config.ERRORS.TIMEOUT);
+    expect(new CancelledError().message).toBe(config.ERRORS.REQUEST_CANCELLED);
+  });
+
+  it('carry request metadata and the cause', () => {
+    const cause = new TypeError('Failed to fetch');
+    const request = { method: 'POST', url: 'http://localhost/process', attempt: 2, durationMs: 12 };
+    const error = new NetworkError(undefined, { request, cause });
+    expect(error.request).toBe(request);
+    expect(error.cause).toBe(cause);
+  });
+});
+
+describe('error helpers', () => {
+  it('recognize cancellations', () => {
+    expect(isCancelledError(new CancelledError())).toBe(true);
+    expect(isCancelledError(new NetworkError())).toBe(false);
+    expect(isCancelledError(null)).toBe(false);
+  });
+
+  it('wrap unknown failures as validation errors and keep analysis errors', () => {
+    const wrapped = toValidationError(new Error('decode failed'));
+    expect(wrapped).toBeInstanceOf(ValidationError);
+    expect(wrapped.message).toBe('decode failed');
+    const timeout = new TimeoutError();
+    expect(toValidationError(timeout)).toBe(timeout);
+  });
+});
+
+describe('describeError', () => {
+  it('maps each code to a title and recovery actions', () => {
+    const described = describeError(new NetworkError(), 'en-US');
+    expect(described.code).toBe(ERROR_CODES.NETWORK);
+    expect(described.title).toBe('Could not reach the analysis server');
+    expect(described.message).toBe(config.ERRORS.NETWORK_ERROR);
+    expect(described.actions.map(action => action.type)).toEqual([
+      ERROR_ACTIONS.RETRY, ERROR_ACTIONS.SEND_LATER, ERROR_ACTIONS.CHECK_SETTINGS,
+    ]);
+    expect(described.actions[0].label).toBe('Try again');
+
+    expect(describeError(new ValidationError('too small'), 'en').actions.map(action => action.type))
+      .toEqual([ERROR_ACTIONS.CHOOSE_FILE]);
+    expect(describeError(new AuthError(), 'en').actions[0].type).toBe(ERROR_ACTIONS.SIGN_IN);
+  });
+
+  it('uses the language of the locale and falls back to English', () => {
+    const spanish = describeError(new TimeoutError(), 'es-MX');
+    expect(spanish.title).toBe('El servidor tardó demasiado en responder');
+    expect(spanish.actions[0].label).toBe('Reintentar');
+    expect(describeError(new TimeoutError(), 'fr-FR').title).toBe('The server took too long to respond');
+    expect(describeError(new TimeoutError(), undefined).title).toBe('The server took too long to respond');
+  });
+
+  it('describes plain messages and unknown errors generically', () => {
+    const described = describeError('Something broke', 'en');
+    expect(described.code).toBeNull();
+    expect(described.title).toBe('Analysis failed');
+    expect(described.message).toBe('Something broke');
+    expect(described.actions.map(action => action.type)).toEqual([ERROR_ACTIONS.RETRY]);
+  });
+});
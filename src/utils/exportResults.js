@@ -0,0 +1,142 @@
+import config from '../config';
+import { isFaceRegion, parseAnalysisResponse } from './response';
+import { scoreRegions } from './confidence';
+
+// Identifies files written by exportResultsJson; bump the version when the layout changes
+export const EXPORT_FORMAT = 'autism-detection-ai/results';
+export const EXPORT_VERSION = 1;
+
+const toIsoString = value => (value === null || value === undefined ? null : new Date(value).toISOString());
+
+// Records are { fileName, analyzedAt, result } where result is a normalized /process result
+const toExportedResult = ({ fileName, analyzedAt, result }) => ({
+  fileName: fileName || 'Captured Image',
+  analyzedAt: toIsoString(analyzedAt),
+  status: result.status,
+  message: result.message,
+  finalDecision: result.finalDecision,
+  age: result.age,
+  regions: result.regions,
+  ageImageUrl: result.ageImageUrl,
+  autismImageUrl: result.autismImageUrl,
+  imageSize: result.imageSize || null,
+  // The backend payload is kept so imports go through the same validation as live responses
+  response: result.raw,
+});
+
+export const exportResultsJson = records => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  results: records.map(toExportedResult),
+}, null, 2);
+
+const CSV_COLUMNS = [
+  'file_name', 'analyzed_at', 'status', 'final_decision', 'row_type',
+  'face_id', 'age', 'age_group', 'box', 'region', 'prediction', 'confidence', 'confidence_level',
+];
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Flat CSV with one row per detected face and one per analyzed region
+// Confidences are normalized to 0–1; results with neither still get a single "summary" row
+export const exportResultsCsv = (records) => {
+  const rows = [];
+  records.forEach(({ fileName, analyzedAt, result }) => {
+    const base = {
+      file_name: fileName || 'Captured Image',
+      analyzed_at: toIsoString(analyzedAt),
+      status: result.status,
+      final_decision: result.finalDecision,
+    };
+    const faces = result.age ? result.age.faces : [];
+
+    faces.forEach((face) => {
+      rows.push({
+        ...base,
+        row_type: 'face',
+        face_id: face.id + 1,
+        age: face.age,
+        age_group: face.isChild === null ? 'unknown' : face.isChild ? 'child' : 'adult',
+        box: face.box ? face.box.join(' ') : null,
+      });
+    });
+    scoreRegions(result.regions).forEach((r) => {
+      rows.push({
+        ...base,
+        row_type: 'region',
+        face_id: isFaceRegion(r) ? r.faceIndex + 1 : null,
+        region: r.region,
+        prediction: r.label,
+        confidence: r.score,
+        confidence_level: r.level,
+      });
+    });
+    if (faces.length === 0 && result.regions.length === 0) {
+      rows.push({ ...base, row_type: 'summary' });
+    }
+  });
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => escapeCsv(row[column])).join(',')),
+  ].join('\r\n');
+};
+
+// Save generated text as a file through a temporary download link
+export const downloadTextFile = (text, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadResults = (records, format) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  if (format === 'csv') {
+    downloadTextFile(exportResultsCsv(records), `analysis-results-${stamp}.csv`, 'text/csv');
+  } else {
+    downloadTextFile(exportResultsJson(records), `analysis-results-${stamp}.json`, 'application/json');
+  }
+};
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Read a file written by exportResultsJson back into records; every result is re-validated
+export const parseResultsImport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(config.ERRORS.IMPORT_INVALID);
+  }
+
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.results)) {
+    throw new Error(config.ERRORS.IMPORT_INVALID);
+  }
+  if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+    throw new Error(config.ERRORS.IMPORT_VERSION);
+  }
+  if (data.results.length === 0) {
+    throw new Error(config.ERRORS.IMPORT_EMPTY);
+  }
+
+  // Entries must be objects with a stored response; anything else would fail with a raw TypeError
+  if (!data.results.every(item => isObject(item) && isObject(item.response))) {
+    throw new Error(config.ERRORS.IMPORT_INVALID);
+  }
+
+  return data.results.map(item => ({
+    fileName: item.fileName || 'Imported result',
+    analyzedAt: item.analyzedAt ? Date.parse(item.analyzedAt) : null,
+    result: { ...parseAnalysisResponse(item.response), imageSize: item.imageSize || null },
+  }));
+};
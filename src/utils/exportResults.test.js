@@ -0,0 +1,66 @@
+import config from '../config';
+import {
+  EXPORT_FORMAT, EXPORT_VERSION, exportResultsCsv, exportResultsJson, parseResultsImport,
+} from './exportResults';
+import { parseAnalysisResponse } from './response';
+import child from '../mock/fixtures/child.json';
+
+const record = {
+  fileName: 'child.jpg',
+  analyzedAt: Date.parse('2024-05-01T10:00:00.000Z'),
+  result: { ...parseAnalysisResponse(child), imageSize: { width: 800, height: 600 } },
+};
+
+const exportFile = changes => JSON.stringify({
+  format: EXPORT_FORMAT, version: EXPORT_VERSION, results: [], ...changes,
+});
+
+describe('parseResultsImport', () => {
+  it('reads back what exportResultsJson wrote', () => {
+    const [imported] = parseResultsImport(exportResultsJson([record]));
+    expect(imported.fileName).toBe('child.jpg');
+    expect(imported.analyzedAt).toBe(record.analyzedAt);
+    expect(imported.result).toEqual(record.result);
+  });
+
+  it('rejects files that are not an export', () => {
+    expect(() => parseResultsImport('not json')).toThrow(config.ERRORS.IMPORT_INVALID);
+    expect(() => parseResultsImport('null')).toThrow(config.ERRORS.IMPORT_INVALID);
+    expect(() => parseResultsImport(exportFile({ format: 'other' }))).toThrow(config.ERRORS.IMPORT_INVALID);
+    expect(() => parseResultsImport(exportFile({ results: {} }))).toThrow(config.ERRORS.IMPORT_INVALID);
+  });
+
+  it('rejects exports from a newer version and empty ones', () => {
+    expect(() => parseResultsImport(exportFile({ version: EXPORT_VERSION + 1 }))).toThrow(config.ERRORS.IMPORT_VERSION);
+    expect(() => parseResultsImport(exportFile({ version: '1' }))).toThrow(config.ERRORS.IMPORT_VERSION);
+    expect(() => parseResultsImport(exportFile())).toThrow(config.ERRORS.IMPORT_EMPTY);
+  });
+
+  it('rejects entries that are not records with a stored response', () => {
+    [[null], [42], ['result'], [[]], [{ fileName: 'x.jpg' }], [{ response: null }], [{ response: 'child' }]]
+      .forEach((results) => {
+        expect(() => parseResultsImport(exportFile({ results }))).toThrow(config.ERRORS.IMPORT_INVALID);
+      });
+  });
+
+  it('validates each stored backend response again', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const text = exportFile({ results: [{ fileName: 'x.jpg', response: { status: 'unknown' } }] });
+    expect(() => parseResultsImport(text)).toThrow(config.ERRORS.MALFORMED_RESPONSE);
+    console.error.mockRestore();
+  });
+
+  it('fills in a file name and a missing timestamp', () => {
+    const [imported] = parseResultsImport(exportFile({ results: [{ response: child }] }));
+    expect(imported.fileName).toBe('Imported result');
+    expect(imported.analyzedAt).toBeNull();
+  });
+});
+
+describe('exportResultsCsv', () => {
+  it('writes one row per face and per region', () => {
+    const lines = exportResultsCsv([record]).trim().split(/\r?\n/);
+    expect(lines).toHaveLength(1 + 1 + 3);
+    expect(lines[0].startsWith('file_name,analyzed_at,status')).toBe(true);
+  });
+});
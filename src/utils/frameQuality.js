@@ -0,0 +1,70 @@
+import config from '../config';
+
+// Weights of the combined frame score; sharpness matters most for a moving child
+const SHARPNESS_WEIGHT = 0.7;
+const EXPOSURE_WEIGHT = 0.3;
+
+// Sharpness and exposure of a drawable (canvas, video or image), measured on a small grayscale copy
+// sharpness is the variance of the Laplacian (higher is sharper, unbounded); exposure is 0–1,
+// highest for a mid-gray average with few clipped pixels
+export const measureFrame = (source, { size = config.WEBCAM.BURST_ANALYSIS_SIZE } = {}) => {
+  const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+  const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+  const scale = Math.min(1, size / Math.max(sourceWidth, sourceHeight));
+  const width = Math.max(3, Math.round(sourceWidth * scale));
+  const height = Math.max(3, Math.round(sourceHeight * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const gray = new Float32Array(width * height);
+  let total = 0;
+  let clipped = 0;
+  for (let i = 0; i < gray.length; i++) {
+    const value = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) / 255;
+    gray[i] = value;
+    total += value;
+    if (value < 0.02 || value > 0.98) clipped += 1;
+  }
+
+  // 4-neighbour Laplacian over the interior pixels
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count += 1;
+    }
+  }
+  const mean = sum / count;
+  const brightness = total / gray.length;
+
+  return {
+    sharpness: sumSquares / count - mean * mean,
+    exposure: Math.max(0, 1 - Math.abs(brightness - 0.5) * 2) * (1 - clipped / gray.length),
+  };
+};
+
+// Frames with a 0–1 `score` added; sharpness is relative to the sharpest frame of the same burst,
+// since its absolute value depends on the scene and camera
+export const scoreFrames = (frames) => {
+  const sharpest = Math.max(...frames.map(frame => frame.sharpness), 0);
+  return frames.map(frame => ({
+    ...frame,
+    score: SHARPNESS_WEIGHT * (sharpest > 0 ? frame.sharpness / sharpest : 0) + EXPOSURE_WEIGHT * frame.exposure,
+  }));
+};
+
+// Index of the highest-scoring frame; -1 for an empty burst
+export const findBestFrame = scoredFrames => scoredFrames.reduce(
+  (best, frame, idx) => (best === -1 || frame.score > scoredFrames[best].score ? idx : best),
+  -1,
+);
@@ -0,0 +1,41 @@
+import config from '../config';
+import { openStore } from './idb';
+
+// Local analysis history, stored in IndexedDB
+const withStore = openStore('autism-detection-ai', 'analyses', { unavailableMessage: config.ERRORS.HISTORY_UNAVAILABLE });
+
+// Save a finished analysis; resolves to the stored entry including its id
+export const addHistoryEntry = async (entry) => {
+  const record = { ...entry, createdAt: entry.createdAt || Date.now() };
+  const id = await withStore('readwrite', store => store.add(record));
+  return { ...record, id };
+};
+
+// All entries, newest first
+export const listHistoryEntries = async () => {
+  const entries = await withStore('readonly', store => store.getAll());
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const getHistoryEntry = id => withStore('readonly', store => store.get(id));
+
+export const deleteHistoryEntry = id => withStore('readwrite', store => store.delete(id));
+
+export const clearHistory = () => withStore('readwrite', store => store.clear());
+
+// Drop entries older than the retention period and the oldest ones beyond MAX_ENTRIES
+export const pruneHistory = async () => {
+  const entries = await listHistoryEntries();
+  const cutoff = Date.now() - config.HISTORY.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const expired = entries.filter((entry, index) => (
+    entry.createdAt < cutoff || index >= config.HISTORY.MAX_ENTRIES
+  ));
+
+  if (expired.length > 0) {
+    await withStore('readwrite', (store) => {
+      expired.forEach(entry => store.delete(entry.id));
+      return null;
+    });
+  }
+  return expired.length;
+};
@@ -0,0 +1,42 @@
+// Shared IndexedDB access for the local stores (history, outbox)
+// Each database holds one object store of records keyed by an auto-increment id and indexed by createdAt
+
+// Returns withStore(mode, callback) for the store `storeName` in database `name`. The database is
+// opened (and on first use created) lazily; `unavailableMessage` is the error when IndexedDB is missing
+export const openStore = (name, storeName, { version = 1, unavailableMessage } = {}) => {
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error(unavailableMessage));
+        return;
+      }
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  };
+
+  // Run one request in a transaction and resolve with its result once the transaction commits
+  return async (mode, callback) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+};
@@ -0,0 +1,312 @@
+import config from '../config';
+
+// Read the EXIF orientation (1-8) from a JPEG file; 1 when absent or not a JPEG
+export const readExifOrientation = async (file) => {
+  const buffer = await file.slice(0, 64 * 1024).arrayBuffer();
+  const view = new DataView(buffer);
+
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+
+    // APP1 segment starting with "Exif\0\0"
+    if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+      const tiff = offset + 10;
+      if (tiff + 8 > view.byteLength) return 1;
+      const little = view.getUint16(tiff) === 0x4949;
+      const ifd = tiff + view.getUint32(tiff + 4, little);
+      if (ifd + 2 > view.byteLength) return 1;
+      const entries = view.getUint16(ifd, little);
+      for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > view.byteLength) return 1;
+        if (view.getUint16(entry, little) === 0x0112) {
+          const value = view.getUint16(entry + 8, little);
+          return value >= 1 && value <= 8 ? value : 1;
+        }
+      }
+      return 1;
+    }
+
+    // Stop at start of scan or on a malformed marker
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return 1;
+    offset += 2 + length;
+  }
+  return 1;
+};
+
+// Decode a file into something drawable; `oriented` tells whether EXIF rotation is already applied
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+      return { source: bitmap, width: bitmap.width, height: bitmap.height, oriented: true };
+    } catch (error) {
+      // Fall back to an <img> element below
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(config.ERRORS.PREPROCESS_ERROR));
+      image.src = url;
+    });
+    const oriented = typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+    return { source: img, width: img.naturalWidth, height: img.naturalHeight, oriented };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Canvas transforms for EXIF orientations 2-8 (width/height are the unrotated draw size)
+const applyOrientation = (ctx, orientation, width, height) => {
+  switch (orientation) {
+    case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+    default: break;
+  }
+};
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error(config.ERRORS.PREPROCESS_ERROR))),
+    type,
+    quality,
+  );
+});
+
+// Orient, downscale and re-encode an image as a metadata-free JPEG
+export const preprocessImage = async (file, options = {}) => {
+  const {
+    maxDimension = config.IMAGE_PROCESSING.MAX_DIMENSION,
+    quality = config.IMAGE_PROCESSING.JPEG_QUALITY,
+  } = options;
+
+  const orientation = await readExifOrientation(file);
+  const decoded = await decodeImage(file);
+  const manualOrientation = decoded.oriented ? 1 : orientation;
+  const swapAxes = manualOrientation >= 5;
+
+  // Output dimensions after orientation, scaled to fit maxDimension
+  const orientedWidth = swapAxes ? decoded.height : decoded.width;
+  const orientedHeight = swapAxes ? decoded.width : decoded.height;
+  const scale = Math.min(1, maxDimension / Math.max(orientedWidth, orientedHeight));
+  const outWidth = Math.max(1, Math.round(orientedWidth * scale));
+  const outHeight = Math.max(1, Math.round(orientedHeight * scale));
+  const drawWidth = swapAxes ? outHeight : outWidth;
+  const drawHeight = swapAxes ? outWidth : outHeight;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = outWidth;
+  canvas.height = outHeight;
+  const ctx = canvas.getContext('2d');
+
+  // JPEG has no alpha channel; flatten transparent PNG/GIF pixels onto white
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, outWidth, outHeight);
+  applyOrientation(ctx, manualOrientation, drawWidth, drawHeight);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(decoded.source, 0, 0, drawWidth, drawHeight);
+  if (decoded.source.close) decoded.source.close();
+
+  // Canvas output never carries the source EXIF/GPS/ICC metadata
+  const blob = await canvasToBlob(canvas, 'image/jpeg', quality);
+  const name = file.name ? file.name.replace(/\.[^.]+$/, '') + '.jpg' : 'image.jpg';
+
+  return {
+    file: new File([blob], name, { type: 'image/jpeg', lastModified: Date.now() }),
+    originalSize: file.size,
+    processedSize: blob.size,
+    width: outWidth,
+    height: outHeight,
+    orientation,
+  };
+};
+
+// Blur one region of a canvas holding `source`; pixelates where canvas filters are unsupported
+const blurRegion = (ctx, source, region, radius) => {
+  const { width, height } = ctx.canvas;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(region.x, region.y, region.width, region.height);
+  ctx.clip();
+  if ('filter' in ctx) {
+    ctx.filter = `blur(${radius}px)`;
+    ctx.drawImage(source, 0, 0, width, height);
+  } else {
+    const small = document.createElement('canvas');
+    small.width = Math.max(1, Math.round(region.width / radius));
+    small.height = Math.max(1, Math.round(region.height / radius));
+    small.getContext('2d').drawImage(
+      source, region.x, region.y, region.width, region.height, 0, 0, small.width, small.height,
+    );
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(small, region.x, region.y, region.width, region.height);
+  }
+  ctx.restore();
+};
+
+// Crop an image and blur regions of it, e.g. bystanders, before it is uploaded
+// crop and blurRegions are { x, y, width, height } fractions of the whole image; the result is a
+// metadata-free JPEG
+export const editImage = async (file, { crop = null, blurRegions = [] } = {}) => {
+  // Work on an upright copy when the browser doesn't apply EXIF rotation while decoding
+  let source = file;
+  let decoded = await decodeImage(source);
+  if (!decoded.oriented && (await readExifOrientation(file)) !== 1) {
+    if (decoded.source.close) decoded.source.close();
+    source = (await preprocessImage(file, { maxDimension: Infinity })).file;
+    decoded = await decodeImage(source);
+  }
+  const { width, height } = decoded;
+  const toPixels = rect => ({
+    x: Math.round(rect.x * width),
+    y: Math.round(rect.y * height),
+    width: Math.max(1, Math.round(rect.width * width)),
+    height: Math.max(1, Math.round(rect.height * height)),
+  });
+
+  const full = document.createElement('canvas');
+  full.width = width;
+  full.height = height;
+  const ctx = full.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(decoded.source, 0, 0, width, height);
+  blurRegions.map(toPixels).forEach((region) => {
+    const radius = Math.max(4, Math.round(Math.max(region.width, region.height) * config.PRIVACY.BLUR_STRENGTH));
+    blurRegion(ctx, decoded.source, region, radius);
+  });
+  if (decoded.source.close) decoded.source.close();
+
+  let output = full;
+  if (crop) {
+    const area = toPixels(crop);
+    output = document.createElement('canvas');
+    output.width = area.width;
+    output.height = area.height;
+    output.getContext('2d').drawImage(full, area.x, area.y, area.width, area.height, 0, 0, area.width, area.height);
+  }
+
+  const blob = await canvasToBlob(output, 'image/jpeg', config.IMAGE_PROCESSING.JPEG_QUALITY);
+  const name = file.name ? file.name.replace(/\.[^.]+$/, '') + '-edited.jpg' : 'image-edited.jpg';
+  return new File([blob], name, { type: 'image/jpeg', lastModified: Date.now() });
+};
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+// Identify the image format from the file's magic bytes; null when unrecognized
+export const sniffImageType = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+  const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'image/jpeg';
+  if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(4, 8) === 'ftyp' && HEIF_BRANDS.includes(ascii(8, 12))) return 'image/heic';
+  return null;
+};
+
+// Check the format's end-of-file marker so truncated downloads are caught before decoding
+export const hasCompleteTrailer = async (file, type) => {
+  const tail = new Uint8Array(await file.slice(Math.max(file.size - 1024, 0)).arrayBuffer());
+
+  switch (type) {
+    case 'image/jpeg':
+      // EOI marker, possibly followed by padding
+      for (let i = tail.length - 2; i >= 0; i--) {
+        if (tail[i] === 0xFF && tail[i + 1] === 0xD9) return true;
+      }
+      return false;
+    case 'image/png':
+      return String.fromCharCode(...tail.slice(-12)).includes('IEND');
+    case 'image/gif':
+      return tail.slice(-16).includes(0x3B);
+    case 'image/webp': {
+      const header = new DataView(await file.slice(4, 8).arrayBuffer());
+      return header.getUint32(0, true) + 8 <= file.size;
+    }
+    default:
+      return true;
+  }
+};
+
+// Count GIF frames, stopping once the file is known to be animated
+export const isAnimatedGif = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const skipSubBlocks = (pos) => {
+    while (pos < bytes.length && bytes[pos] !== 0) pos += bytes[pos] + 1;
+    return pos + 1;
+  };
+
+  let pos = 13;
+  if (bytes[10] & 0x80) pos += 3 * (1 << ((bytes[10] & 0x07) + 1));
+
+  let frames = 0;
+  while (pos < bytes.length) {
+    const block = bytes[pos];
+    if (block === 0x2C) {
+      frames += 1;
+      if (frames > 1) return true;
+      const packed = bytes[pos + 9];
+      pos += 10;
+      if (packed & 0x80) pos += 3 * (1 << ((packed & 0x07) + 1));
+      pos = skipSubBlocks(pos + 1);
+    } else if (block === 0x21) {
+      pos = skipSubBlocks(pos + 2);
+    } else {
+      break;
+    }
+  }
+  return false;
+};
+
+// Decode an image and return its pixel dimensions; throws when the data is corrupt
+export const readImageDimensions = async (file) => {
+  let decoded;
+  try {
+    decoded = await decodeImage(file);
+  } catch (error) {
+    throw new Error(config.ERRORS.IMAGE_CORRUPT);
+  }
+  if (decoded.source.close) decoded.source.close();
+  if (!decoded.width || !decoded.height) {
+    throw new Error(config.ERRORS.IMAGE_CORRUPT);
+  }
+  return { width: decoded.width, height: decoded.height };
+};
+
+// Re-encode the first frame of an image (e.g. an animated GIF) as a still PNG
+export const extractFirstFrame = async (file) => {
+  const decoded = await decodeImage(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = decoded.width;
+  canvas.height = decoded.height;
+  canvas.getContext('2d').drawImage(decoded.source, 0, 0);
+  if (decoded.source.close) decoded.source.close();
+
+  const blob = await canvasToBlob(canvas, 'image/png');
+  const name = file.name ? file.name.replace(/\.[^.]+$/, '') + '.png' : 'image.png';
+  return new File([blob], name, { type: 'image/png', lastModified: Date.now() });
+};
+
+// Convert HEIC/HEIF to JPEG; the converter is only downloaded when a HEIC file shows up
+export const convertHeicToJpeg = async (file) => {
+  const { default: heic2any } = await import('heic2any');
+  const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: config.IMAGE_PROCESSING.JPEG_QUALITY });
+  const blob = Array.isArray(converted) ? converted[0] : converted;
+  const name = file.name ? file.name.replace(/\.[^.]+$/, '') + '.jpg' : 'image.jpg';
+  return new File([blob], name, { type: 'image/jpeg', lastModified: Date.now() });
+};
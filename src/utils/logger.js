@@ -0,0 +1,52 @@
+import config from '../config';
+import { redact } from './redact';
+
+// Levels from least to most severe
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Recent entries for the diagnostics drawer: { id, time, level, scope, message, data }
+// Every level is kept; DIAGNOSTICS.LOG_LEVEL only limits what is echoed to the console
+let entries = [];
+let nextId = 1;
+const listeners = new Set();
+
+const isAtLeast = (level, minimum) => LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minimum);
+
+// Data is redacted before it is stored or printed, so credentials never reach either
+const write = (level, scope, message, data) => {
+  const entry = {
+    id: nextId++,
+    time: Date.now(),
+    level,
+    scope,
+    message,
+    data: data === undefined ? undefined : redact(data),
+  };
+  entries = [...entries.slice(-(config.DIAGNOSTICS.MAX_LOG_ENTRIES - 1)), entry];
+
+  if (isAtLeast(level, config.DIAGNOSTICS.LOG_LEVEL)) {
+    console[level](`[${scope}] ${message}`, ...(data === undefined ? [] : [entry.data]));
+  }
+  listeners.forEach(listener => listener());
+};
+
+// Logger for one part of the app; `scope` names it in the console and the diagnostics drawer
+export const createLogger = scope => ({
+  debug: (message, data) => write('debug', scope, message, data),
+  info: (message, data) => write('info', scope, message, data),
+  warn: (message, data) => write('warn', scope, message, data),
+  error: (message, data) => write('error', scope, message, data),
+});
+
+export const getLogEntries = () => entries;
+
+export const clearLogEntries = () => {
+  entries = [];
+  listeners.forEach(listener => listener());
+};
+
+// listener() is called after every new entry; returns an unsubscribe function
+export const subscribeToLog = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
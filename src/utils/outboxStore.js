@@ -0,0 +1,32 @@
+import config from '../config';
+import { openStore } from './idb';
+
+// Analyses waiting for the backend, stored in IndexedDB
+const withStore = openStore('autism-detection-ai-outbox', 'outbox', { unavailableMessage: config.ERRORS.OUTBOX_UNAVAILABLE });
+
+// Queue an image for analysis; the File itself is stored so it survives a reload
+export const addOutboxItem = async (item) => {
+  const record = { ...item, createdAt: item.createdAt || Date.now() };
+  const id = await withStore('readwrite', store => store.add(record));
+  return { ...record, id };
+};
+
+// All items, oldest first, which is also the order they are sent in
+export const listOutboxItems = async () => {
+  const items = await withStore('readonly', store => store.getAll());
+  return items.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const updateOutboxItem = async (id, changes) => {
+  const item = await withStore('readonly', store => store.get(id));
+  if (!item) return null;
+  const updated = { ...item, ...changes };
+  await withStore('readwrite', store => store.put(updated));
+  return updated;
+};
+
+export const deleteOutboxItem = id => withStore('readwrite', store => store.delete(id));
+
+export const clearOutbox = () => withStore('readwrite', store => store.clear());
+
+export const countOutboxItems = () => withStore('readonly', store => store.count());
@@ -0,0 +1,37 @@
+import config from '../config';
+import { createLogger } from './logger';
+
+const log = createLogger('privacy');
+
+const CONSENT_KEY = 'autism-detection-ai:consent';
+
+// Whether the current consent text has been acknowledged in this browser
+// Bumping PRIVACY.CONSENT_VERSION asks everyone again
+export const hasConsent = () => {
+  if (!config.PRIVACY.CONSENT_REQUIRED) return true;
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONSENT_KEY));
+    return Boolean(stored && stored.version === config.PRIVACY.CONSENT_VERSION);
+  } catch (error) {
+    return false;
+  }
+};
+
+export const recordConsent = () => {
+  try {
+    localStorage.setItem(CONSENT_KEY, JSON.stringify({
+      version: config.PRIVACY.CONSENT_VERSION,
+      acceptedAt: new Date().toISOString(),
+    }));
+  } catch (error) {
+    log.error('Failed to store consent', error);
+  }
+};
+
+export const withdrawConsent = () => {
+  try {
+    localStorage.removeItem(CONSENT_KEY);
+  } catch (error) {
+    log.error('Failed to withdraw consent', error);
+  }
+};
@@ -0,0 +1,44 @@
+// Keys whose values are credentials and must never be logged
+const SENSITIVE_KEY = /authorization|token|api[-_]?key$|secret|password|cookie|credential|session[-_]?id/i;
+const MAX_STRING_LENGTH = 120;
+const MAX_DEPTH = 6;
+
+// URLs keep their origin and path; query strings and fragments can carry signed tokens
+const redactUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.search || url.hash ? `${url.origin}${url.pathname}?[redacted]` : value;
+  } catch (error) {
+    return value;
+  }
+};
+
+const redactString = (value, maxLength) => {
+  if (/^https?:\/\//i.test(value)) return redactUrl(value);
+  // Base64 images and other blobs are summarized rather than dumped
+  if (value.length > maxLength) return `${value.slice(0, 32)}… [${value.length} chars]`;
+  return value;
+};
+
+const redactValue = (value, depth, maxLength) => {
+  if (typeof value === 'string') return redactString(value, maxLength);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[…]';
+  // Error properties aren't enumerable, so they would otherwise log as {}
+  if (value instanceof Error) {
+    return redactValue({
+      name: value.name, message: value.message, code: value.code, status: value.status,
+    }, depth, maxLength);
+  }
+  if (Array.isArray(value)) return value.map(item => redactValue(item, depth + 1, maxLength));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) ? '[redacted]' : redactValue(item, depth + 1, maxLength),
+  ]));
+};
+
+// Copy of a value that is safe to log: credential fields masked, URLs stripped of their query,
+// strings longer than `maxStringLength` truncated
+export const redact = (value, { maxStringLength = MAX_STRING_LENGTH } = {}) => (
+  redactValue(value, 0, maxStringLength)
+);
@@ -0,0 +1,165 @@
+import config from '../config';
+import { formatConfidence, scoreRegions } from './confidence';
+import { getRegionName } from './response';
+
+// Everything a screening report shows, gathered from the current result
+export const buildReportData = ({ result, image, backendVersion }) => ({
+  title: config.REPORT.TITLE,
+  organization: config.REPORT.ORGANIZATION,
+  generatedAt: new Date(),
+  fileName: image && image.file ? image.file.name : 'Captured Image',
+  originalImageUrl: image ? image.previewUrl : null,
+  annotatedImageUrl: result.autismImageUrl || result.ageImageUrl,
+  backendUrl: config.API_BASE_URL,
+  backendVersion: backendVersion || 'unknown',
+  status: result.status,
+  message: result.message,
+  age: result.age,
+  regions: scoreRegions(result.regions),
+  finalDecision: result.finalDecision,
+  disclaimer: config.REPORT.DISCLAIMER,
+});
+
+// Load an image URL as a data URL with its pixel size; null if it can't be read (e.g. blocked by CORS)
+const loadImageData = async (url) => {
+  if (!url) return null;
+  try {
+    const response = await fetch(url, { mode: 'cors' });
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+    const size = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+      img.onerror = reject;
+      img.src = dataUrl;
+    });
+    return { dataUrl, ...size, format: blob.type === 'image/png' ? 'PNG' : 'JPEG' };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Render the report as an A4 PDF and download it; jsPDF is only loaded when a report is exported
+export const downloadReportPdf = async (report) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 15;
+  const contentWidth = pageWidth - margin * 2;
+  let y = margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - margin) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+
+  const heading = (text) => {
+    ensureSpace(12);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.text(text, margin, y);
+    y += 7;
+  };
+
+  const paragraph = (text, size = 10) => {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(size);
+    const lines = doc.splitTextToSize(text, contentWidth);
+    ensureSpace(lines.length * size * 0.45);
+    doc.text(lines, margin, y);
+    y += lines.length * size * 0.45 + 2;
+  };
+
+  // Title block
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text(report.title, margin, y + 4);
+  y += 11;
+  if (report.organization) paragraph(report.organization);
+  paragraph(`Generated: ${report.generatedAt.toLocaleString()}`, 9);
+  paragraph(`Image: ${report.fileName}`, 9);
+  paragraph(`Backend: ${report.backendUrl} (version ${report.backendVersion})`, 9);
+  y += 2;
+
+  // Original and annotated images side by side
+  const images = await Promise.all([
+    loadImageData(report.originalImageUrl),
+    loadImageData(report.annotatedImageUrl),
+  ]);
+  const slotWidth = (contentWidth - 6) / 2;
+  const slotHeight = 65;
+  ensureSpace(slotHeight + 8);
+  ['Original image', 'Annotated result'].forEach((caption, index) => {
+    const x = margin + index * (slotWidth + 6);
+    const img = images[index];
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text(caption, x, y);
+    if (img) {
+      const scale = Math.min(slotWidth / img.width, slotHeight / img.height);
+      doc.addImage(img.dataUrl, img.format, x, y + 2, img.width * scale, img.height * scale);
+    } else {
+      doc.text('Image unavailable', x, y + 8);
+    }
+  });
+  y += slotHeight + 8;
+
+  // Age detection summary
+  if (report.age) {
+    heading('Age Detection');
+    paragraph(`Faces detected: ${report.age.kidsCount + report.age.adultsCount} (kids: ${report.age.kidsCount}, adults: ${report.age.adultsCount})`);
+    report.age.faces.forEach((face) => {
+      const group = face.isChild === null ? 'unknown' : face.isChild ? 'child' : 'adult';
+      paragraph(`Face ${face.id + 1}: age ${face.age} (${group})`, 9);
+    });
+  }
+
+  // Regional analysis table
+  if (report.regions.length > 0) {
+    heading('Regional Analysis');
+    const columns = [margin, margin + 50, margin + 130];
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'bold');
+    ['Region', 'Prediction', 'Confidence'].forEach((label, i) => doc.text(label, columns[i], y));
+    y += 2;
+    doc.line(margin, y, pageWidth - margin, y);
+    y += 5;
+    doc.setFont('helvetica', 'normal');
+    report.regions.forEach((r) => {
+      ensureSpace(6);
+      doc.text(getRegionName(r), columns[0], y);
+      doc.text(String(r.label), columns[1], y);
+      doc.text(formatConfidence(r.score), columns[2], y);
+      y += 6;
+    });
+    y += 2;
+  }
+
+  if (report.finalDecision) {
+    heading('Final AI Decision');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.setTextColor(220, 38, 38);
+    ensureSpace(8);
+    doc.text(report.finalDecision, margin, y);
+    doc.setTextColor(0, 0, 0);
+    y += 9;
+  }
+
+  if (report.disclaimer) {
+    heading('Disclaimer');
+    paragraph(report.disclaimer, 8);
+  }
+
+  const stamp = report.generatedAt.toISOString().replace(/[:.]/g, '-');
+  doc.save(`screening-report-${stamp}.pdf`);
+};
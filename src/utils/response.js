@@ -0,0 +1,220 @@
+import config from '../config';
+import { MalformedResponseError } from './errors';
+import { createLogger } from './logger';
+
+const log = createLogger('response');
+
+// Statuses the /process endpoint is known to return
+export const RESPONSE_STATUS = {
+  CHILD_AUTISM_SCREENED: 'child_autism_screened',
+  ADULT_INVALID: 'adult_invalid',
+  NO_FACES: 'no_faces',
+};
+
+// Declared shape of the /process payload; fields not listed here are ignored
+const ANNOTATION_SCHEMA = {
+  type: 'object',
+  fields: {
+    age: { type: ['number', 'string'], required: true },
+    box: { type: 'array', length: 4, items: { type: 'number' } },
+  },
+};
+
+const REGION_RESULT_SCHEMA = {
+  type: 'object',
+  fields: {
+    region: { type: 'string' },
+    label: { type: 'string' },
+    confidence: { type: 'number' },
+    final_decision: { type: 'string' },
+    face_index: { type: 'number' }, // index into age_check_summary.annotations, when per face
+  },
+};
+
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  fields: {
+    status: { type: 'string', required: true, oneOf: Object.values(RESPONSE_STATUS) },
+    message: { type: 'string' },
+    age_check_summary: {
+      type: 'object',
+      fields: {
+        annotated_image_url: { type: 'string' },
+        kids_count: { type: 'number' },
+        adults_count: { type: 'number' },
+        has_faces: { type: 'boolean' },
+        annotations: { type: 'array', items: ANNOTATION_SCHEMA },
+      },
+    },
+    autism_prediction_data: {
+      type: 'object',
+      fields: {
+        annotated_image_path: { type: 'string' },
+        results: { type: 'array', items: REGION_RESULT_SCHEMA },
+      },
+    },
+  },
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// Collect every mismatch between a value and its schema as "path: problem" strings
+const validate = (value, schema, path, problems) => {
+  const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actual = typeOf(value);
+
+  if (!allowed.includes(actual)) {
+    problems.push(`${path}: expected ${allowed.join(' or ')}, got ${actual}`);
+    return;
+  }
+
+  if (schema.oneOf && !schema.oneOf.includes(value)) {
+    problems.push(`${path}: unknown value "${value}" (expected one of ${schema.oneOf.join(', ')})`);
+  }
+
+  if (actual === 'number' && !Number.isFinite(value)) {
+    problems.push(`${path}: expected a finite number, got ${value}`);
+  }
+
+  if (actual === 'array') {
+    if (schema.length !== undefined && value.length !== schema.length) {
+      problems.push(`${path}: expected ${schema.length} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validate(item, schema.items, `${path}[${index}]`, problems));
+    }
+  }
+
+  if (actual === 'object' && schema.fields) {
+    Object.entries(schema.fields).forEach(([key, fieldSchema]) => {
+      const fieldPath = `${path}.${key}`;
+      if (value[key] === undefined || value[key] === null) {
+        if (fieldSchema.required) problems.push(`${fieldPath}: missing`);
+        return;
+      }
+      validate(value[key], fieldSchema, fieldPath, problems);
+    });
+  }
+};
+
+// Turn a backend image path into an absolute URL
+export const resolveBackendUrl = (path) => {
+  if (!path) return null;
+  if (/^(https?:|data:|blob:)/i.test(path)) return path;
+  return `${config.API_BASE_URL.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+};
+
+// Numeric age estimate from values like 7, "7" or "(4-6)"; null when unreadable
+const parseAge = (age) => {
+  if (typeof age === 'number') return age;
+  const numbers = String(age).match(/\d+(\.\d+)?/g);
+  if (!numbers) return null;
+  // Ranges count by their upper bound so a "(15-20)" face is not treated as a child
+  return Math.max(...numbers.map(Number));
+};
+
+const hasFaceIndex = r => r.face_index !== undefined && r.face_index !== null;
+
+// Validate a raw /process payload and normalize it into a single result object
+export const parseAnalysisResponse = (data) => {
+  const problems = [];
+  validate(data, RESPONSE_SCHEMA, 'response', problems);
+
+  if (problems.length > 0) {
+    log.error('Malformed /process response', { problems, response: data });
+    throw new MalformedResponseError(`${config.ERRORS.MALFORMED_RESPONSE} (${problems[0]})`, { details: problems });
+  }
+
+  const summary = data.age_check_summary || {};
+  const autism = data.autism_prediction_data || {};
+  const results = autism.results || [];
+
+  const faces = (summary.annotations || []).map((annotation, index) => {
+    const ageValue = parseAge(annotation.age);
+    return {
+      id: index,
+      age: annotation.age,
+      ageValue,
+      box: annotation.box || null,
+      isChild: ageValue !== null ? ageValue < config.RESULTS.ADULT_AGE : null,
+    };
+  });
+
+  const hasAgeSummary = summary.kids_count !== undefined || summary.adults_count !== undefined
+    || summary.has_faces !== undefined || faces.length > 0;
+  const isAdultInvalid = data.status === RESPONSE_STATUS.ADULT_INVALID;
+
+  return {
+    status: data.status,
+    message: data.message || '',
+    age: hasAgeSummary ? {
+      kidsCount: summary.kids_count ?? 0,
+      adultsCount: summary.adults_count ?? 0,
+      hasFaces: summary.has_faces ?? faces.length > 0,
+      faces,
+    } : null,
+    ageImageUrl: resolveBackendUrl(summary.annotated_image_url),
+    // Autism output is never shown for adult-only images, even if the backend sends some
+    regions: isAdultInvalid ? [] : results
+      .filter(r => r.region)
+      .map(r => ({
+        region: r.region,
+        label: r.label || '',
+        confidence: r.confidence ?? null,
+        faceIndex: r.face_index ?? null,
+      })),
+    // The overall decision; per-face decisions are listed in faceDecisions
+    finalDecision: isAdultInvalid ? null : (
+      (results.find(r => r.final_decision && !hasFaceIndex(r))
+        || results.find(r => r.final_decision))?.final_decision || null
+    ),
+    faceDecisions: isAdultInvalid ? [] : results
+      .filter(r => r.final_decision && hasFaceIndex(r))
+      .map(r => ({ faceIndex: r.face_index, decision: r.final_decision })),
+    autismImageUrl: isAdultInvalid ? null : resolveBackendUrl(autism.annotated_image_path),
+    raw: data,
+  };
+};
+
+// Whether a normalized region finding was attributed to a single face
+export const isFaceRegion = r => r.faceIndex !== null && r.faceIndex !== undefined;
+
+// Per-face view of a normalized result: every face with the regions and decision that belong to it
+// Findings tagged with a face index go to that face. Untagged findings go to the only child when
+// there is exactly one, since only children are screened; otherwise they stay image-wide
+export const getFaceFindings = (result) => {
+  const faces = result.age ? result.age.faces : [];
+  const regions = result.regions || [];
+  const faceDecisions = result.faceDecisions || [];
+
+  const children = faces.filter(face => face.isChild === true);
+  const soleChild = children.length === 1 && !regions.some(isFaceRegion) && faceDecisions.length === 0
+    ? children[0]
+    : null;
+
+  const people = faces.map((face) => {
+    if (face === soleChild) {
+      return { face, skipped: false, regions, decision: result.finalDecision };
+    }
+    const own = faceDecisions.find(d => d.faceIndex === face.id);
+    return {
+      face,
+      skipped: face.isChild === false,
+      regions: regions.filter(r => r.faceIndex === face.id),
+      decision: own ? own.decision : null,
+    };
+  });
+
+  return {
+    people,
+    overallRegions: soleChild ? [] : regions.filter(r => !isFaceRegion(r)),
+    overallDecision: soleChild ? null : result.finalDecision,
+  };
+};
+
+// Display name of a region finding, prefixed with its face when the backend attributed it to one
+export const getRegionName = r => (isFaceRegion(r) ? `Face ${r.faceIndex + 1} · ${r.region}` : r.region);
@@ -0,0 +1,108 @@
+import config from '../config';
+import {
+  RESPONSE_STATUS, getFaceFindings, parseAnalysisResponse, resolveBackendUrl,
+} from './response';
+import { ERROR_CODES, MalformedResponseError } from './errors';
+import child from '../mock/fixtures/child.json';
+import adult from '../mock/fixtures/adult.json';
+import multiFace from '../mock/fixtures/multiFace.json';
+
+describe('parseAnalysisResponse', () => {
+  it('normalizes a child screening', () => {
+    const result = parseAnalysisResponse(child);
+    expect(result.status).toBe(RESPONSE_STATUS.CHILD_AUTISM_SCREENED);
+    expect(result.age).toEqual({
+      kidsCount: 1,
+      adultsCount: 0,
+      hasFaces: true,
+      faces: [{
+        id: 0, age: '(4-6)', ageValue: 6, box: [330, 220, 340, 420], isChild: true,
+      }],
+    });
+    expect(result.regions).toEqual([
+      { region: 'Eyes', label: 'Autistic', confidence: 78.4, faceIndex: null },
+      { region: 'Nose', label: 'Non-Autistic', confidence: 55.1, faceIndex: null },
+      { region: 'Mouth', label: 'Autistic', confidence: 64.9, faceIndex: null },
+    ]);
+    expect(result.finalDecision).toBe('Autistic');
+    expect(result.ageImageUrl).toBe(resolveBackendUrl('/mock/child-age.svg'));
+    expect(result.raw).toBe(child);
+  });
+
+  it('never returns autism output for adult-only images', () => {
+    const result = parseAnalysisResponse({
+      ...adult,
+      autism_prediction_data: {
+        annotated_image_path: '/autism.png',
+        results: [{ region: 'Eyes', label: 'Autistic', confidence: 0.9 }, { final_decision: 'Autistic' }],
+      },
+    });
+    expect(result.regions).toEqual([]);
+    expect(result.finalDecision).toBeNull();
+    expect(result.autismImageUrl).toBeNull();
+    expect(result.age.faces[0].isChild).toBe(false);
+  });
+
+  it('counts an age range by its upper bound', () => {
+    const result = parseAnalysisResponse({
+      status: RESPONSE_STATUS.CHILD_AUTISM_SCREENED,
+      age_check_summary: { annotations: [{ age: `(15-${config.RESULTS.ADULT_AGE + 2})` }, { age: 7 }] },
+    });
+    expect(result.age.faces.map(face => face.isChild)).toEqual([false, true]);
+    expect(result.age.hasFaces).toBe(true);
+  });
+
+  it('keeps per-face decisions apart from the overall one', () => {
+    const result = parseAnalysisResponse(multiFace);
+    expect(result.finalDecision).toBe('Autistic');
+    expect(result.faceDecisions).toEqual([
+      { faceIndex: 0, decision: 'Non-Autistic' },
+      { faceIndex: 2, decision: 'Autistic' },
+    ]);
+
+    const { people, overallRegions, overallDecision } = getFaceFindings(result);
+    expect(people.map(person => person.skipped)).toEqual([false, true, false]);
+    expect(people.map(person => person.decision)).toEqual(['Non-Autistic', null, 'Autistic']);
+    expect(people[0].regions.map(r => r.region)).toEqual(['Eyes', 'Nose', 'Mouth']);
+    expect(overallRegions).toEqual([]);
+    expect(overallDecision).toBe('Autistic');
+  });
+
+  it('gives untagged findings to the only child in the image', () => {
+    const { people, overallRegions, overallDecision } = getFaceFindings(parseAnalysisResponse(child));
+    expect(people[0].regions).toHaveLength(3);
+    expect(people[0].decision).toBe('Autistic');
+    expect(overallRegions).toEqual([]);
+    expect(overallDecision).toBeNull();
+  });
+
+  it('rejects payloads that do not match the schema', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const cases = [
+      null,
+      {},
+      { status: 'something_else' },
+      { status: RESPONSE_STATUS.NO_FACES, age_check_summary: { kids_count: 'one' } },
+      { status: RESPONSE_STATUS.NO_FACES, age_check_summary: { annotations: [{ age: 5, box: [1, 2, 3] }] } },
+    ];
+    cases.forEach((data) => {
+      expect(() => parseAnalysisResponse(data)).toThrow(MalformedResponseError);
+    });
+    expect(() => parseAnalysisResponse({ status: RESPONSE_STATUS.NO_FACES, message: 5 })).toThrow(
+      expect.objectContaining({
+        code: ERROR_CODES.MALFORMED_RESPONSE,
+        details: ['response.message: expected string, got number'],
+      }),
+    );
+    console.error.mockRestore();
+  });
+});
+
+describe('resolveBackendUrl', () => {
+  it('joins relative paths to the API base URL and keeps absolute ones', () => {
+    expect(resolveBackendUrl('/static/a.png')).toBe(`${config.API_BASE_URL.replace(/\/+$/, '')}/static/a.png`);
+    expect(resolveBackendUrl('https://cdn.example.com/a.png')).toBe('https://cdn.example.com/a.png');
+    expect(resolveBackendUrl('data:image/png;base64,AAAA')).toBe('data:image/png;base64,AAAA');
+    expect(resolveBackendUrl('')).toBeNull();
+  });
+});
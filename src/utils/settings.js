@@ -0,0 +1,123 @@
+import config from '../config';
+import { createLogger } from './logger';
+
+const log = createLogger('settings');
+
+const STORAGE_KEY = 'autism-detection-ai:settings';
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Settings editable at runtime, in the units the settings form shows
+// Built from config.js once at load, so they always reflect the build-time values
+export const DEFAULT_SETTINGS = {
+  apiBaseUrl: config.API_BASE_URL,
+  analyzeEndpoint: config.ENDPOINTS.ANALYZE,
+  healthEndpoint: config.ENDPOINTS.HEALTH,
+  requestTimeoutSeconds: config.UI.LOADING_TIMEOUT / 1000,
+  healthTimeoutSeconds: config.HEALTH.TIMEOUT / 1000,
+  maxFileSizeMb: config.UPLOAD.MAX_FILE_SIZE / (1024 * 1024),
+  maxBatchSize: config.UPLOAD.MAX_BATCH_SIZE,
+  confidenceHigh: config.RESULTS.CONFIDENCE_THRESHOLDS.HIGH * 100,
+  confidenceMedium: config.RESULTS.CONFIDENCE_THRESHOLDS.MEDIUM * 100,
+};
+
+const DEFAULT_PROFILE = { id: DEFAULT_PROFILE_ID, name: 'Default (build)', settings: DEFAULT_SETTINGS };
+
+const isNumberBetween = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+// Field name -> problem for every invalid setting; empty when the settings can be applied
+export const validateSettings = (settings) => {
+  const errors = {};
+
+  try {
+    const url = new URL(settings.apiBaseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      errors.apiBaseUrl = 'Must be an http:// or https:// URL';
+    }
+  } catch (error) {
+    errors.apiBaseUrl = 'Must be an absolute URL, e.g. http://localhost:8000';
+  }
+
+  ['analyzeEndpoint', 'healthEndpoint'].forEach((field) => {
+    if (!/^\/\S*$/.test(settings[field] || '')) errors[field] = 'Must start with / and contain no spaces';
+  });
+
+  if (!isNumberBetween(settings.requestTimeoutSeconds, 1, 600)) {
+    errors.requestTimeoutSeconds = 'Between 1 and 600 seconds';
+  }
+  if (!isNumberBetween(settings.healthTimeoutSeconds, 1, 120)) {
+    errors.healthTimeoutSeconds = 'Between 1 and 120 seconds';
+  }
+
+  const maxInputMb = config.IMAGE_PROCESSING.MAX_INPUT_SIZE / (1024 * 1024);
+  if (!isNumberBetween(settings.maxFileSizeMb, 0.1, maxInputMb)) {
+    errors.maxFileSizeMb = `Between 0.1 and ${maxInputMb} MB`;
+  }
+  if (!Number.isInteger(settings.maxBatchSize) || !isNumberBetween(settings.maxBatchSize, 1, 500)) {
+    errors.maxBatchSize = 'A whole number between 1 and 500';
+  }
+
+  if (!isNumberBetween(settings.confidenceHigh, 0, 100)) {
+    errors.confidenceHigh = 'Between 0 and 100';
+  }
+  if (!isNumberBetween(settings.confidenceMedium, 0, 100)) {
+    errors.confidenceMedium = 'Between 0 and 100';
+  } else if (settings.confidenceMedium >= settings.confidenceHigh) {
+    errors.confidenceMedium = 'Must be below the high threshold';
+  }
+
+  return errors;
+};
+
+// Write settings into the shared config object; every module reads config at call time,
+// so the change takes effect for the next request without a reload
+export const applySettings = (settings) => {
+  config.API_BASE_URL = settings.apiBaseUrl.replace(/\/+$/, '');
+  config.ENDPOINTS.ANALYZE = settings.analyzeEndpoint;
+  config.ENDPOINTS.HEALTH = settings.healthEndpoint;
+  config.UI.LOADING_TIMEOUT = settings.requestTimeoutSeconds * 1000;
+  config.HEALTH.TIMEOUT = settings.healthTimeoutSeconds * 1000;
+  config.UPLOAD.MAX_FILE_SIZE = Math.round(settings.maxFileSizeMb * 1024 * 1024);
+  config.UPLOAD.MAX_BATCH_SIZE = settings.maxBatchSize;
+  config.RESULTS.CONFIDENCE_THRESHOLDS.HIGH = settings.confidenceHigh / 100;
+  config.RESULTS.CONFIDENCE_THRESHOLDS.MEDIUM = settings.confidenceMedium / 100;
+};
+
+// Stored profiles: { activeProfileId, profiles: [{ id, name, settings }] }
+// The default profile is never stored, so it follows config.js across builds
+export const loadSettingsStore = () => {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    stored = null;
+  }
+
+  // Stored profiles from older versions may lack newer fields, and invalid ones are dropped
+  const profiles = (stored && Array.isArray(stored.profiles) ? stored.profiles : [])
+    .filter(profile => profile && profile.id && profile.id !== DEFAULT_PROFILE_ID)
+    .map(profile => ({ ...profile, settings: { ...DEFAULT_SETTINGS, ...profile.settings } }))
+    .filter(profile => Object.keys(validateSettings(profile.settings)).length === 0);
+
+  const all = [DEFAULT_PROFILE, ...profiles];
+  const activeProfileId = all.some(profile => profile.id === (stored && stored.activeProfileId))
+    ? stored.activeProfileId
+    : DEFAULT_PROFILE_ID;
+  return { activeProfileId, profiles: all };
+};
+
+export const saveSettingsStore = ({ activeProfileId, profiles }) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      activeProfileId,
+      profiles: profiles.filter(profile => profile.id !== DEFAULT_PROFILE_ID),
+    }));
+  } catch (error) {
+    log.error('Failed to save settings', error);
+  }
+};
+
+// Apply the active stored profile; called once before the app renders
+export const applyStoredSettings = () => {
+  const { activeProfileId, profiles } = loadSettingsStore();
+  applySettings(profiles.find(profile => profile.id === activeProfileId).settings);
+};
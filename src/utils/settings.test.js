@@ -0,0 +1,53 @@
+import config from '../config';
+import { DEFAULT_SETTINGS, validateSettings } from './settings';
+
+const valid = {
+  apiBaseUrl: 'https://api.example.com',
+  analyzeEndpoint: '/process',
+  healthEndpoint: '/health',
+  requestTimeoutSeconds: 60,
+  healthTimeoutSeconds: 10,
+  maxFileSizeMb: 10,
+  maxBatchSize: 50,
+  confidenceHigh: 70,
+  confidenceMedium: 40,
+};
+
+describe('validateSettings', () => {
+  it('accepts valid settings and the build defaults', () => {
+    expect(validateSettings(valid)).toEqual({});
+    expect(validateSettings(DEFAULT_SETTINGS)).toEqual({});
+  });
+
+  it('requires an absolute http(s) API URL', () => {
+    expect(validateSettings({ ...valid, apiBaseUrl: 'api.example.com' })).toHaveProperty('apiBaseUrl');
+    expect(validateSettings({ ...valid, apiBaseUrl: 'ftp://api.example.com' })).toHaveProperty('apiBaseUrl');
+  });
+
+  it('requires endpoints to start with / and contain no spaces', () => {
+    const errors = validateSettings({ ...valid, analyzeEndpoint: 'process', healthEndpoint: '/he alth' });
+    expect(Object.keys(errors)).toEqual(['analyzeEndpoint', 'healthEndpoint']);
+  });
+
+  it('checks numeric ranges', () => {
+    const maxInputMb = config.IMAGE_PROCESSING.MAX_INPUT_SIZE / (1024 * 1024);
+    const errors = validateSettings({
+      ...valid,
+      requestTimeoutSeconds: 0,
+      healthTimeoutSeconds: 121,
+      maxFileSizeMb: maxInputMb + 1,
+      maxBatchSize: 2.5,
+      confidenceHigh: NaN,
+    });
+    expect(Object.keys(errors).sort()).toEqual([
+      'confidenceHigh', 'healthTimeoutSeconds', 'maxBatchSize', 'maxFileSizeMb', 'requestTimeoutSeconds',
+    ]);
+    expect(validateSettings({ ...valid, maxBatchSize: 501 })).toHaveProperty('maxBatchSize');
+  });
+
+  it('requires the medium threshold to be below the high one', () => {
+    expect(validateSettings({ ...valid, confidenceMedium: 70 })).toEqual({
+      confidenceMedium: 'Must be below the high threshold',
+    });
+  });
+});